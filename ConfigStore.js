@@ -0,0 +1,39 @@
+/*
+    Reads OdooSpeak configuration items from the config DynamoDB table of the active profile.
+    Items are keyed by config_id and cached for the lifetime of the Lambda container. A missing item is not
+    cached, so it is picked up as soon as it is added, and `fresh` reads past the cache.
+*/
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand } from "@aws-sdk/lib-dynamodb";
+import { profile, awsClientConfig } from './Environment.js';
+
+const client = new DynamoDBClient(awsClientConfig);
+const dynamoDb = DynamoDBDocumentClient.from(client);
+const tableName = profile.tables.config;
+
+const configCache = new Map();
+
+// Get a configuration item and cache it. An optional item that does not exist is returned as null
+export const getConfigItem = async (configId, { optional = false, fresh = false } = {}) => {
+    if (fresh || !configCache.has(configId)) {
+        try {
+            const { Item } = await dynamoDb.send(new GetCommand({
+                TableName: tableName,
+                Key: { config_id: configId }
+            }));
+            if (!Item && !optional) {
+                throw new Error(`Configuration item ${configId} not found in ${tableName}`);
+            }
+            if (!Item) {
+                configCache.delete(configId);
+                return null;
+            }
+            configCache.set(configId, Item);
+        } catch (error) {
+            console.error(`Error fetching configuration ${configId}:`, error);
+            throw new Error(`Error fetching configuration ${configId}: ${error.message}`);
+        }
+    }
+    return configCache.get(configId);
+};
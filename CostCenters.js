@@ -0,0 +1,254 @@
+/*
+    Resolves where the cost of an Infraspeak cost center is posted in Odoo. The profile's costCenterMode
+    picks between two charts of accounts:
+      account  - costs post to the cost center's account.account
+      analytic - costs post to one expense account per cost type from the odoo_mapping config, and the line
+                 carries an analytic_distribution on the cost center's account.analytic.account,
+                 e.g. { materialExpenseAccount: { code: "6120000" }, labourExpenseAccount: { code: "6410000" } }
+    A cost center resolves through the `costCenters` section of the odoo_mapping config, keyed by Infraspeak
+    cost center ID, e.g. { costCenters: { "42": { code: "6120001" } } }. Cost centers without an entry fall
+    back to the Odoo account or analytic account whose code is the Infraspeak code, then to the optional
+    `defaultCostCenter` suspense reference. The references name accounts or analytic accounts by the mode.
+    When the cost center of a posted order changes, a reclassification journal moves what its journals
+    booked on the old cost center to the new one.
+*/
+
+import { fetchRequestOdoo, createOdooRecordOnce } from './OdooClient.js';
+import { resolveOdooMapping, resolveCostCenterMapping } from './OdooMapping.js';
+import { fetchRequestInfraspeak } from './InfraspeakClient.js';
+import { profile } from './Environment.js';
+
+const COST_CENTER_MODES = ['account', 'analytic'];
+export const costCenterMode = profile.costCenterMode;
+
+if (!COST_CENTER_MODES.includes(costCenterMode)) {
+    throw new Error(`Unknown cost center mode "${costCenterMode}". Expected one of: ${COST_CENTER_MODES.join(', ')}`);
+}
+
+// Odoo model and mapping key cost centers resolve to in the active mode
+const COST_CENTER_MODEL = costCenterMode === 'account' ? 'account.account' : 'account.analytic.account';
+const COST_CENTER_MAPPING_KEY = costCenterMode === 'account' ? 'costCenterAccount' : 'costCenterAnalytic';
+
+// Expense account mapping key per cost type in analytic mode
+const EXPENSE_ACCOUNT_KEYS = {
+    material: 'materialExpenseAccount',
+    labour: 'labourExpenseAccount'
+};
+
+const recordsByCode = new Map();
+
+// Retrieve cost centers from Infraspeak
+export const getInfraspeakCostCenters = async () => {
+    const endpoint = `cost-centers`;
+    try {
+        const response = await fetchRequestInfraspeak(endpoint, 'GET');
+        const result = response.data.map(item => ({
+            id: item.id,
+            name: item.attributes.name,
+            code: item.attributes.code
+        }));
+        return result;
+    } catch (error) {
+        console.error('Error fetching cost center Infraspeak:', error);
+        throw new Error(`Error fetching cost center Infraspeak: ${error.message}`);
+    }
+};
+
+
+// Infraspeak cost center of an order, by cost_center_id and then by cost_center_name. Null if the order
+// names none or a cost center Infraspeak no longer lists
+export const findInfraspeakCostCenter = (attributes, costCenters) => {
+    const { cost_center_id: costCenterId = null, cost_center_name: costCenterName = null } = attributes;
+    const byId = costCenterId ? costCenters.find(costCenter => costCenter.id === costCenterId.toString()) : null;
+    const byName = !byId && costCenterName ? costCenters.find(costCenter => costCenter.name === costCenterName) : null;
+    return byId || byName || null;
+};
+
+
+// Odoo account and analytic distribution a cost of the given type posts to for an Infraspeak cost center.
+// analyticDistribution is null in account mode. source tells how the cost center resolved:
+// mapping, code or default
+export const resolveOdooCostCenter = async (costCenter, costType) => {
+    const { recordId, source } = await resolveCostCenterRecord(costCenter);
+    if (source === 'default') {
+        console.warn(`Cost center ${describeCostCenter(costCenter)} has no Odoo mapping. Posting to the default cost center`);
+    }
+    if (costCenterMode === 'account') {
+        return { accountId: recordId, analyticDistribution: null, source };
+    }
+
+    const mappingKey = EXPENSE_ACCOUNT_KEYS[costType];
+    if (!mappingKey) {
+        throw new Error(`Unknown cost type ${costType}`);
+    }
+    const odooMapping = await resolveOdooMapping([mappingKey]);
+    return { accountId: odooMapping[mappingKey], analyticDistribution: { [recordId]: 100 }, source };
+};
+
+
+// Journal line fields for the analytic distribution of a cost center
+export const analyticFields = (analyticDistribution) => {
+    return analyticDistribution ? { analytic_distribution: analyticDistribution } : {};
+};
+
+
+// Whether two resolved cost centers post to the same account with the same analytic distribution
+export const isSameCostCenter = (costCenter, otherCostCenter) => {
+    return costCenter.accountId === otherCostCenter.accountId
+        && sameDistribution(costCenter.analyticDistribution, otherCostCenter.analyticDistribution);
+};
+
+
+// Move the net amount the given journals booked on one cost center to another with a reclassification
+// journal. Returns the journal ID, or null when nothing stands on the old cost center. post false leaves
+// it in draft, for journals that are themselves left in draft for review, so finance posts or cancels
+// them together
+export const postCostCenterReclassification = async ({ journalIds, from, to, journalId, workOrderId, ref, idempotencyKey, post = true }) => {
+    const balance = await fetchCostCenterBalance(journalIds, from);
+    if (balance === 0) {
+        console.log(`${ref}: nothing booked on account ${from.accountId}. No reclassification needed`);
+        return null;
+    }
+
+    try {
+        const response = await createOdooRecordOnce("account.move", {
+            ref: ref,
+            move_type: "entry",
+            journal_id: journalId,
+            line_ids: [
+                [0, 0, { account_id: from.accountId, name: ref, debit: balance < 0 ? -balance : 0, credit: balance > 0 ? balance : 0, ...analyticFields(from.analyticDistribution) }],
+                [0, 0, { account_id: to.accountId, name: ref, debit: balance > 0 ? balance : 0, credit: balance < 0 ? -balance : 0, ...analyticFields(to.analyticDistribution) }]
+            ],
+            x_work_order_id: workOrderId,
+            x_idempotency_key: idempotencyKey,
+        });
+        if (post && response.state !== "posted") {
+            await fetchRequestOdoo('/web/dataset/call_kw/account.move/action_post', {
+                model: "account.move",
+                method: "action_post",
+                args: [[response.result]],
+                kwargs: {}
+            });
+        }
+        console.log(`${ref}: moved ${balance} from account ${from.accountId} to ${to.accountId} with journal ${response.result}`);
+        return response.result;
+    } catch (error) {
+        console.error(`Error posting cost center reclassification for order ${workOrderId}:`, error);
+        throw new Error(`Error posting cost center reclassification for order ${workOrderId}: ${error.message}`);
+    }
+};
+
+
+// Infraspeak cost centers with neither a mapping entry nor an Odoo record of the same code. fallback is
+// 'default' when they post to the default cost center, null when their orders fail. The mapping and the
+// Odoo codes are read fresh, so the report reflects the config as it is now
+export const findUnmappedCostCenters = async (costCenters) => {
+    const mapping = await resolveCostCenterMapping(COST_CENTER_MAPPING_KEY, { fresh: true });
+    const unmapped = costCenters.filter(costCenter => !mapping.costCenters.has(String(costCenter.id)));
+    await fetchRecordsByCode(unmapped.map(costCenter => costCenter.code).filter(Boolean), true);
+
+    return unmapped
+        .filter(costCenter => !costCenter.code || !recordsByCode.get(costCenter.code))
+        .map(costCenter => ({
+            ...costCenter,
+            fallback: mapping.defaultCostCenter ? 'default' : null
+        }));
+};
+
+
+// Odoo record for a cost center: its mapping entry, the record of the same code, or the default
+const resolveCostCenterRecord = async (costCenter) => {
+    const mapping = await resolveCostCenterMapping(COST_CENTER_MAPPING_KEY);
+
+    const mapped = costCenter && mapping.costCenters.get(String(costCenter.id));
+    if (mapped) {
+        return { recordId: mapped, source: 'mapping' };
+    }
+    if (costCenter?.code) {
+        await fetchRecordsByCode([costCenter.code]);
+        const byCode = recordsByCode.get(costCenter.code);
+        if (byCode) {
+            return { recordId: byCode, source: 'code' };
+        }
+    }
+    if (mapping.defaultCostCenter) {
+        return { recordId: mapping.defaultCostCenter, source: 'default' };
+    }
+    throw new Error(`Cost center ${describeCostCenter(costCenter)} has no Odoo ${COST_CENTER_MODEL} mapped and no defaultCostCenter is configured`);
+};
+
+
+// Look up cost center records by code, caching those found for the lifetime of the container. Misses are
+// not cached, so a record added in Odoo is found on the next lookup. fresh looks up cached codes again
+const fetchRecordsByCode = async (codes, fresh = false) => {
+    const missingCodes = [...new Set(codes)].filter(code => fresh || !recordsByCode.has(code));
+    if (!missingCodes.length) {
+        return;
+    }
+    const endpoint = `/web/dataset/call_kw/${COST_CENTER_MODEL}/search_read`;
+    const params = {
+        model: COST_CENTER_MODEL,
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [["code", "in", missingCodes]],
+            fields: ["id", "code", "name"]
+        }
+    };
+    try {
+        const response = await fetchRequestOdoo(endpoint, params);
+        const records = response.result || [];
+        for (const code of missingCodes) {
+            const matches = records.filter(record => record.code === code);
+            if (matches.length > 1) {
+                throw new Error(`Cost center code ${code} matched ${matches.length} ${COST_CENTER_MODEL} records, expected exactly 1`);
+            }
+            if (matches.length) {
+                recordsByCode.set(code, matches[0].id);
+            } else {
+                recordsByCode.delete(code);
+            }
+        }
+    } catch (error) {
+        console.error('Error fetching cost centers from Odoo:', error);
+        throw new Error(`Error fetching cost center id from Odoo: ${error.message}`);
+    }
+};
+
+
+// Net debit the journals booked on the account of a cost center, with its analytic distribution. Labour
+// journals are left in draft for review, so every journal that is not cancelled counts
+const fetchCostCenterBalance = async (journalIds, costCenter) => {
+    if (!journalIds.length) {
+        return 0;
+    }
+    const endpoint = '/web/dataset/call_kw/account.move.line/search_read';
+    const params = {
+        model: "account.move.line",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [
+                ["move_id", "in", journalIds],
+                ["account_id", "=", costCenter.accountId],
+                ["parent_state", "!=", "cancel"]
+            ],
+            fields: ["debit", "credit", "analytic_distribution"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    const balance = (response.result || [])
+        .filter(line => !costCenter.analyticDistribution || sameDistribution(line.analytic_distribution, costCenter.analyticDistribution))
+        .reduce((total, line) => total + line.debit - line.credit, 0);
+    return Math.round(balance * 100) / 100;
+};
+
+
+const sameDistribution = (distribution, otherDistribution) => {
+    return JSON.stringify(distribution || null) === JSON.stringify(otherDistribution || null);
+};
+
+
+const describeCostCenter = (costCenter) => {
+    return costCenter ? `${costCenter.name} (${costCenter.code || `id ${costCenter.id}`})` : '(none on the order)';
+};
@@ -0,0 +1,60 @@
+/*
+    Dry-run support shared by every handler. While a dry run is active, writes to Odoo, Infraspeak,
+    DynamoDB and SNS are recorded in a posting plan instead of being sent. Reads still go through,
+    so the plan reflects exactly what a real run would write.
+*/
+
+// Odoo methods that never modify data
+const ODOO_READ_METHODS = ['search_read', 'read', 'search', 'search_count', 'name_search', 'read_group', 'fields_get', 'default_get'];
+
+// DynamoDB document client commands that modify data
+const DYNAMO_WRITE_COMMANDS = ['PutCommand', 'UpdateCommand', 'DeleteCommand', 'BatchWriteCommand', 'TransactWriteCommand'];
+
+let writePlan = null;
+
+// Start a run, recording writes instead of sending them when enabled
+export const setDryRun = (enabled) => {
+    writePlan = enabled ? [] : null;
+};
+
+
+// Stop recording writes
+export const endDryRun = () => {
+    writePlan = null;
+};
+
+
+export const isDryRun = () => writePlan !== null;
+
+
+// Writes recorded so far in this dry run
+export const getDryRunPlan = () => writePlan;
+
+
+// Record an intended write. Returns a negative placeholder ID for records that would be created
+export const recordWrite = (target, operation, payload) => {
+    writePlan.push({
+        step: writePlan.length + 1,
+        target,
+        operation,
+        payload
+    });
+    return -writePlan.length;
+};
+
+
+// Whether an Odoo JSON-RPC call would modify data
+export const isOdooWrite = (params) => !ODOO_READ_METHODS.includes(params.method);
+
+
+// Wrap a DynamoDB document client so write commands are recorded during a dry run
+export const guardDynamoWrites = (dynamoDb) => ({
+    send: async (command) => {
+        const commandName = command.constructor.name;
+        if (isDryRun() && DYNAMO_WRITE_COMMANDS.includes(commandName)) {
+            recordWrite('dynamodb', commandName, command.input);
+            return {};
+        }
+        return await dynamoDb.send(command);
+    }
+});
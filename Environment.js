@@ -0,0 +1,108 @@
+/*
+    Named environment profiles. ODOOSPEAK_PROFILE (prod, sandbox or local, default prod) selects the
+    Infraspeak and Odoo endpoints, secret ID, DynamoDB table names and SNS topic together, so the same
+    handler code can run against production, the Infraspeak sandbox with a staging Odoo, or local stand-ins.
+*/
+
+const PROFILES = {
+    prod: {
+        region: 'eu-west-2',
+        awsEndpoint: undefined,
+        secretId: 'odooSpeak/credentials',
+        infraspeakBaseUrl: 'https://api.infraspeak.com/v3',
+        odooBaseUrl: undefined, // https://<ODOO_ACCOUNT>.odoo.com unless the secret sets ODOO_URL
+        tables: {
+            requests: 'odooSpeakRequests',
+            webhook: 'odooSpeakWebhook',
+            config: 'odooSpeakConfig'
+        },
+        snsTopicArn: 'arn:aws:sns:eu-west-2:891377393286:OdooSpeakNotification',
+        insufficientStockPolicy: 'reject',
+        materialValuation: 'infraspeak',
+        postingMode: 'manual',
+        costCenterMode: 'account',
+        labourBreakdown: 'none',
+        webhookAuth: 'hmac',
+        webhookToleranceSeconds: 300,
+        webhookTypes: { failure: 'failures', plannedOrder: 'scheduled_works' }
+    },
+    sandbox: {
+        region: 'eu-west-2',
+        awsEndpoint: undefined,
+        secretId: 'odooSpeak/sandbox/credentials',
+        infraspeakBaseUrl: 'https://api.sandbox.infraspeak.com/v3',
+        odooBaseUrl: undefined, // set ODOO_URL in the sandbox secret to point at a staging or self-hosted Odoo
+        tables: {
+            requests: 'odooSpeakRequestsSandbox',
+            webhook: 'odooSpeakWebhookSandbox',
+            config: 'odooSpeakConfigSandbox'
+        },
+        snsTopicArn: 'arn:aws:sns:eu-west-2:891377393286:OdooSpeakNotificationSandbox',
+        insufficientStockPolicy: 'reject',
+        materialValuation: 'infraspeak',
+        postingMode: 'manual',
+        costCenterMode: 'account',
+        labourBreakdown: 'none',
+        webhookAuth: 'hmac',
+        webhookToleranceSeconds: 300,
+        webhookTypes: { failure: 'failures', plannedOrder: 'scheduled_works' }
+    },
+    local: {
+        region: 'eu-west-2',
+        awsEndpoint: process.env.AWS_ENDPOINT_URL || 'http://localhost:4566',
+        secretId: 'odooSpeak/local/credentials',
+        infraspeakBaseUrl: process.env.INFRASPEAK_BASE_URL || 'http://localhost:4010/v3',
+        odooBaseUrl: process.env.ODOO_BASE_URL || 'http://localhost:8069',
+        tables: {
+            requests: 'odooSpeakRequests',
+            webhook: 'odooSpeakWebhook',
+            config: 'odooSpeakConfig'
+        },
+        snsTopicArn: 'arn:aws:sns:eu-west-2:000000000000:OdooSpeakNotification',
+        insufficientStockPolicy: 'allow_negative', // local Odoo stand-ins rarely hold matching stock
+        materialValuation: 'infraspeak',
+        postingMode: 'manual',
+        costCenterMode: 'account',
+        labourBreakdown: 'none',
+        webhookAuth: 'none', // local stand-ins do not sign deliveries
+        webhookToleranceSeconds: 300,
+        webhookTypes: { failure: 'failures', plannedOrder: 'scheduled_works' }
+    }
+};
+
+const profileName = process.env.ODOOSPEAK_PROFILE || 'prod';
+
+if (!PROFILES[profileName]) {
+    throw new Error(`Unknown ODOOSPEAK_PROFILE "${profileName}". Expected one of: ${Object.keys(PROFILES).join(', ')}`);
+}
+
+// ODOOSPEAK_STOCK_POLICY, ODOOSPEAK_MATERIAL_VALUATION, ODOOSPEAK_POSTING_MODE, ODOOSPEAK_COST_CENTER_MODE
+// and ODOOSPEAK_LABOUR_BREAKDOWN override the profile's posting options, and ODOOSPEAK_WEBHOOK_AUTH its
+// webhook authentication. ODOOSPEAK_WEBHOOK_FAILURE_TYPE and ODOOSPEAK_WEBHOOK_PLANNED_TYPE override the
+// data.type the webhook accepts for failures and scheduled works, to match what Infraspeak delivers
+export const profile = {
+    name: profileName,
+    ...PROFILES[profileName],
+    insufficientStockPolicy: process.env.ODOOSPEAK_STOCK_POLICY || PROFILES[profileName].insufficientStockPolicy,
+    materialValuation: process.env.ODOOSPEAK_MATERIAL_VALUATION || PROFILES[profileName].materialValuation,
+    postingMode: process.env.ODOOSPEAK_POSTING_MODE || PROFILES[profileName].postingMode,
+    costCenterMode: process.env.ODOOSPEAK_COST_CENTER_MODE || PROFILES[profileName].costCenterMode,
+    labourBreakdown: process.env.ODOOSPEAK_LABOUR_BREAKDOWN || PROFILES[profileName].labourBreakdown,
+    webhookAuth: process.env.ODOOSPEAK_WEBHOOK_AUTH || PROFILES[profileName].webhookAuth,
+    webhookTypes: {
+        failure: process.env.ODOOSPEAK_WEBHOOK_FAILURE_TYPE || PROFILES[profileName].webhookTypes.failure,
+        plannedOrder: process.env.ODOOSPEAK_WEBHOOK_PLANNED_TYPE || PROFILES[profileName].webhookTypes.plannedOrder
+    }
+};
+
+// Client settings shared by the AWS SDK clients of every handler
+export const awsClientConfig = {
+    region: profile.region,
+    endpoint: profile.awsEndpoint
+};
+
+
+// Odoo base URL: the profile wins, then ODOO_URL from the secret, then the odoo.com account
+export const resolveOdooBaseUrl = (secrets) => {
+    return profile.odooBaseUrl || secrets.ODOO_URL || `https://${secrets.ODOO_ACCOUNT}.odoo.com`;
+};
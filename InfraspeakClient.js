@@ -0,0 +1,173 @@
+/*
+    Shared Infraspeak API client. Idempotent GETs are retried on 429, 5xx and network failures with
+    exponential backoff, jitter and Retry-After. A Retry-After longer than MAX_RETRY_AFTER_MS is not waited
+    out: the request fails instead of retrying early or outlasting the invocation. Writes are only retried when the request provably did
+    not land: a 429 rejection or a connection that was never established.
+    Request counts are kept per run so handlers can report how close they are to the API quota.
+    During a dry run, writes are recorded in the posting plan instead of being sent.
+*/
+
+/* global fetch */
+import { isDryRun, recordWrite } from './DryRun.js';
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 20000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Network errors raised before the request reached Infraspeak
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+let infraspeakSettings = null;
+let requestStats = null;
+
+// Error raised for a non-2xx response from Infraspeak
+export class InfraspeakApiError extends Error {
+    constructor(method, endpoint, status, statusText) {
+        super(`HTTP error! Status: ${status} - ${statusText} (${method} ${endpoint})`);
+        this.name = 'InfraspeakApiError';
+        this.method = method;
+        this.endpoint = endpoint;
+        this.status = status;
+    }
+}
+
+
+// Set connection details for the Infraspeak API
+export const configureInfraspeak = ({ baseUrl, apiKey, userAgent }) => {
+    infraspeakSettings = { baseUrl, apiKey, userAgent };
+};
+
+
+// Start counting requests for a new run
+export const resetInfraspeakRequestStats = () => {
+    requestStats = {
+        requests: 0,
+        retries: 0,
+        rateLimited: 0,
+        byMethod: {},
+        rateLimitRemaining: null
+    };
+};
+
+
+// Request counts for the current run
+export const getInfraspeakRequestStats = () => {
+    return requestStats;
+};
+
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+
+// Exponential backoff with full jitter, capped at MAX_DELAY_MS
+const backoffDelay = (attempt) => {
+    const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+};
+
+
+// Retry-After can be given in seconds or as an HTTP date. The full delay is returned, never shortened
+const retryAfterDelay = (response) => {
+    const retryAfter = response.headers.get('Retry-After');
+    if (!retryAfter) {
+        return null;
+    }
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    return Number.isNaN(delay) ? null : Math.max(0, delay);
+};
+
+
+// Whether a failed response may be retried for this method
+const isRetryableStatus = (status, method) => {
+    if (status === 429) {
+        return true;
+    }
+    return method === 'GET' && status >= 500;
+};
+
+
+// Whether a thrown fetch error may be retried for this method
+const isRetryableNetworkError = (error, method) => {
+    if (method === 'GET') {
+        return true;
+    }
+    return CONNECTION_ERROR_CODES.includes(error.cause?.code);
+};
+
+
+const countRequest = (method, response) => {
+    if (!requestStats) {
+        resetInfraspeakRequestStats();
+    }
+    requestStats.requests++;
+    requestStats.byMethod[method] = (requestStats.byMethod[method] || 0) + 1;
+
+    const remaining = response?.headers.get('X-RateLimit-Remaining');
+    if (remaining !== null && remaining !== undefined) {
+        requestStats.rateLimitRemaining = Number(remaining);
+    }
+};
+
+
+// Function to perform fetch request to Infraspeak
+export const fetchRequestInfraspeak = async (endpoint, method, body = null) => {
+    if (!infraspeakSettings) {
+        throw new Error('Infraspeak client is not configured. Call configureInfraspeak first.');
+    }
+    if (isDryRun() && method !== 'GET') {
+        const placeholderId = recordWrite('infraspeak', `${method} ${endpoint}`, body);
+        return { data: { id: placeholderId, attributes: {} } };
+    }
+    const url = `${infraspeakSettings.baseUrl}/${endpoint}`;
+
+    for (let attempt = 1; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: method,
+                headers: {
+                    'Authorization': `Bearer ${infraspeakSettings.apiKey}`,
+                    'Content-Type': 'application/json',
+                    'User-Agent': infraspeakSettings.userAgent
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            countRequest(method);
+            if (attempt < MAX_ATTEMPTS && isRetryableNetworkError(error, method)) {
+                requestStats.retries++;
+                const delay = backoffDelay(attempt);
+                console.warn(`Infraspeak ${method} ${endpoint} failed (${error.message}). Retry ${attempt} in ${delay}ms`);
+                await sleep(delay);
+                continue;
+            }
+            console.error('Error with Infraspeak API request:', error);
+            throw new Error(`Error with Infraspeak API request: ${error.message}`);
+        }
+
+        countRequest(method, response);
+        if (response.ok) {
+            return await response.json();
+        }
+
+        if (response.status === 429) {
+            requestStats.rateLimited++;
+        }
+        if (attempt < MAX_ATTEMPTS && isRetryableStatus(response.status, method)) {
+            const delay = retryAfterDelay(response) ?? backoffDelay(attempt);
+            if (delay <= MAX_RETRY_AFTER_MS) {
+                requestStats.retries++;
+                console.warn(`Infraspeak ${method} ${endpoint} returned ${response.status}. Retry ${attempt} in ${delay}ms`);
+                await sleep(delay);
+                continue;
+            }
+            console.warn(`Infraspeak ${method} ${endpoint} returned ${response.status} with Retry-After ${delay}ms, longer than ${MAX_RETRY_AFTER_MS}ms. Not retrying`);
+        }
+
+        const error = new InfraspeakApiError(method, endpoint, response.status, response.statusText);
+        console.error('Error with Infraspeak API request:', error);
+        throw error;
+    }
+};
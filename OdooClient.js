@@ -0,0 +1,217 @@
+/*
+    Shared Odoo JSON-RPC client used by every OdooSpeak Lambda. The session_id is cached at module
+    level so it survives warm invocations, and is only renewed when Odoo reports the session expired.
+    JSON-RPC error payloads are raised as OdooRpcError instead of being returned as empty results.
+    During a dry run, writes are recorded in the posting plan and answered with a placeholder ID.
+    Posting creates go through createOdooRecordOnce, which relies on the custom fields
+    x_work_order_id and x_idempotency_key on stock.move, stock.picking, account.move and account.analytic.line.
+*/
+
+/* global fetch */
+import { isDryRun, isOdooWrite, recordWrite } from './DryRun.js';
+
+let odooSettings = null;
+let sessionCache = null;
+
+// Error raised when Odoo answers with a JSON-RPC error payload
+export class OdooRpcError extends Error {
+    constructor(endpoint, error) {
+        super(`Odoo error on ${endpoint}: ${error?.data?.message || error?.message || 'Unknown error'}`);
+        this.name = 'OdooRpcError';
+        this.endpoint = endpoint;
+        this.code = error?.code;
+        this.odooName = error?.data?.name;
+        this.odooData = error?.data;
+    }
+}
+
+
+// Error raised when the cached session is no longer accepted by Odoo
+export class OdooSessionExpiredError extends OdooRpcError {
+    constructor(endpoint, error) {
+        super(endpoint, error);
+        this.name = 'OdooSessionExpiredError';
+    }
+}
+
+
+// Set connection details. A change of instance or user drops the cached session
+export const configureOdoo = ({ baseUrl, db, login, password, apiKey }) => {
+    const sessionKey = `${baseUrl}|${db}|${login}`;
+    if (sessionCache && sessionCache.key !== sessionKey) {
+        sessionCache = null;
+    }
+    odooSettings = { baseUrl, db, login, password, apiKey, sessionKey };
+};
+
+
+// Odoo reports an expired session as error code 100 / SessionExpiredException
+const isSessionExpired = (error) => {
+    return error?.code === 100 || error?.data?.name === 'odoo.http.SessionExpiredException';
+};
+
+
+// Post a JSON-RPC call and return the parsed body
+const postJsonRpc = async (endpoint, params, headers) => {
+    const response = await fetch(`${odooSettings.baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify({
+            jsonrpc: "2.0",
+            method: "call",
+            params: params,
+            id: Math.floor(Math.random() * 1000)
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error('HTTP Error:', response.status, errorText);
+        throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    return response;
+};
+
+
+// Function to authenticate Odoo account and cache the session
+export const authenticateOdoo = async () => {
+    if (!odooSettings) {
+        throw new Error('Odoo client is not configured. Call configureOdoo first.');
+    }
+    const endpoint = '/web/session/authenticate';
+
+    const response = await postJsonRpc(endpoint, {
+        db: odooSettings.db,
+        login: odooSettings.login,
+        password: odooSettings.password
+    }, {
+        'Authorization': `Bearer ${odooSettings.apiKey}`
+    });
+
+    const data = await response.json();
+    if (data.error) {
+        throw new OdooRpcError(endpoint, data.error);
+    }
+
+    // Extract session ID from the Set-Cookie header
+    const cookies = response.headers.get('Set-Cookie');
+    const sessionIdMatch = cookies && cookies.match(/session_id=([^;]*)/);
+    if (!sessionIdMatch) {
+        throw new Error('Authentication error: Odoo did not return a session_id');
+    }
+
+    sessionCache = { key: odooSettings.sessionKey, sessionId: sessionIdMatch[1] };
+    return sessionCache.sessionId;
+};
+
+
+// Return the cached session, authenticating on first use
+const getSessionId = async () => {
+    if (sessionCache && sessionCache.key === odooSettings?.sessionKey) {
+        return sessionCache.sessionId;
+    }
+    return await authenticateOdoo();
+};
+
+
+// Fetch request to Odoo. Re-authenticates once if the session has expired
+export const fetchRequestOdoo = async (endpoint, params) => {
+    if (isDryRun() && isOdooWrite(params)) {
+        const placeholderId = recordWrite('odoo', `${params.model}.${params.method}`, { args: params.args, kwargs: params.kwargs });
+        return { result: placeholderId };
+    }
+    try {
+        for (let attempt = 1; ; attempt++) {
+            const sessionId = await getSessionId();
+            const response = await postJsonRpc(endpoint, params, { 'cookie': `session_id=${sessionId}` });
+            const data = await response.json();
+
+            if (!data.error) {
+                return data;
+            }
+            if (isSessionExpired(data.error)) {
+                sessionCache = null;
+                if (attempt === 1) {
+                    console.log('Odoo session expired. Re-authenticating.');
+                    continue;
+                }
+                throw new OdooSessionExpiredError(endpoint, data.error);
+            }
+            throw new OdooRpcError(endpoint, data.error);
+        }
+    } catch (error) {
+        console.error('Error with FetchRequestOdoo:', error);
+        if (error instanceof OdooRpcError) {
+            throw error;
+        }
+        throw new Error(`Error with FetchRequestOdoo: ${error.message}`);
+    }
+};
+
+
+// Function to handle one page
+export const fetchRequestOdooPage = async (endpoint, params, limit, offset) => {
+    params.kwargs.limit = limit;
+    params.kwargs.offset = offset;
+
+    const response = await fetchRequestOdoo(endpoint, params);
+    return Array.isArray(response.result) ? response.result : [];
+};
+
+
+// Function to handle pagination and fetch all items
+export const fetchRequestPaginateOdoo = async (endpoint, params, limit = 100) => {
+    let allResults = [];
+    let offset = 0;
+    let moreResults = true;
+
+    while (moreResults) {
+        const currentBatch = await fetchRequestOdooPage(endpoint, params, limit, offset);
+        allResults = allResults.concat(currentBatch);
+        offset += limit;
+        moreResults = currentBatch.length === limit;
+    }
+    return allResults;
+};
+
+
+// Models without a state field, such as timesheets, report no state for an adopted record
+const STATELESS_MODELS = ['account.analytic.line'];
+
+// Create a record unless one with the same x_work_order_id and x_idempotency_key already exists,
+// in which case that record is adopted. Cancelled journals and pickings are never adopted
+export const createOdooRecordOnce = async (model, values) => {
+    const domain = [
+        ["x_work_order_id", "=", values.x_work_order_id],
+        ["x_idempotency_key", "=", values.x_idempotency_key]
+    ];
+    if (model === 'account.move' || model === 'stock.picking') {
+        domain.push(["state", "!=", "cancel"]);
+    }
+
+    const existing = await fetchRequestOdoo(`/web/dataset/call_kw/${model}/search_read`, {
+        model: model,
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: domain,
+            fields: STATELESS_MODELS.includes(model) ? ["id"] : ["id", "state"],
+            limit: 1
+        }
+    });
+    const match = existing.result?.[0];
+    if (match) {
+        console.log(`Adopting existing ${model} ${match.id} for ${values.x_idempotency_key}`);
+        return { result: match.id, adopted: true, state: match.state };
+    }
+
+    return await fetchRequestOdoo(`/web/dataset/call_kw/${model}/create`, {
+        model: model,
+        method: "create",
+        args: [values],
+        kwargs: {}
+    });
+};
@@ -0,0 +1,219 @@
+/*
+    Resolves the Odoo journals, accounts and locations used for posting. They are configured in the
+    `odoo_mapping` config item by account/journal code, location name or XML ID rather than database ID,
+    e.g. { inventoryAccount: { code: "5013100" }, scrapLocation: { xmlId: "stock.stock_location_scrapped" } }.
+    Every reference is looked up and validated against Odoo once per cold start, so a rebuilt or migrated
+    database fails loudly instead of posting to the wrong ledger.
+    `warehouseLocations` maps Infraspeak warehouse IDs to the internal Odoo location stock is drawn from,
+    e.g. { warehouseLocations: { "1234": { code: "WH/Stock" } } }, and `unitsOfMeasure` maps Infraspeak
+    material units to Odoo units, e.g. { unitsOfMeasure: { "m": { xmlId: "uom.product_uom_meter" } } }.
+    `costCenters` and `defaultCostCenter` map Infraspeak cost centers, see CostCenters.js. `employees` maps
+    Infraspeak operator IDs to Odoo employees by work email, e.g. { employees: { "77": { code: "ana@example.com" } } }.
+*/
+
+import { fetchRequestOdoo } from './OdooClient.js';
+import { getConfigItem } from './ConfigStore.js';
+
+const MAPPING_CONFIG_ID = 'odoo_mapping';
+
+// Odoo model and lookup field for every mapping key
+const MAPPING_KEYS = {
+    inventoryJournal: { model: 'account.journal', codeField: 'code', fields: ['type'], validate: record => record.type === 'general' },
+    labourJournal: { model: 'account.journal', codeField: 'code', fields: ['type'], validate: record => record.type === 'general' },
+    inventoryAccount: { model: 'account.account', codeField: 'code', fields: [] },
+    salariesAccount: { model: 'account.account', codeField: 'code', fields: [] },
+    overheadAbsorptionAccount: { model: 'account.account', codeField: 'code', fields: [] },
+    priceVarianceAccount: { model: 'account.account', codeField: 'code', fields: [] },
+    materialExpenseAccount: { model: 'account.account', codeField: 'code', fields: [] },
+    labourExpenseAccount: { model: 'account.account', codeField: 'code', fields: [] },
+    costCenterAccount: { model: 'account.account', codeField: 'code', fields: [] },
+    costCenterAnalytic: { model: 'account.analytic.account', codeField: 'code', fields: [] },
+    employee: { model: 'hr.employee', codeField: 'work_email', fields: [] },
+    scrapLocation: { model: 'stock.location', codeField: 'complete_name', fields: ['usage'], validate: record => record.usage !== 'internal' },
+    consumptionPickingType: { model: 'stock.picking.type', codeField: 'sequence_code', fields: ['code'], validate: record => record.code !== 'incoming' },
+    warehouseLocation: { model: 'stock.location', codeField: 'complete_name', fields: ['usage', 'complete_name'], validate: record => record.usage === 'internal' },
+    unitOfMeasure: { model: 'uom.uom', codeField: 'name', fields: [] },
+};
+
+const WAREHOUSE_LOCATIONS_KEY = 'warehouseLocations';
+const UNITS_OF_MEASURE_KEY = 'unitsOfMeasure';
+const COST_CENTERS_KEY = 'costCenters';
+const DEFAULT_COST_CENTER_KEY = 'defaultCostCenter';
+const EMPLOYEES_KEY = 'employees';
+
+const resolvedMapping = {};
+let resolvedWarehouseLocations = null;
+let resolvedInfraspeakUnits = null;
+const resolvedCostCenters = {};
+let resolvedEmployees = null;
+
+// Look up the record behind an XML ID, checking it belongs to the expected model
+const resolveXmlId = async (xmlId, model) => {
+    const [module, name] = xmlId.split('.');
+    const endpoint = '/web/dataset/call_kw/ir.model.data/search_read';
+    const params = {
+        model: "ir.model.data",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [["module", "=", module], ["name", "=", name]],
+            fields: ["model", "res_id"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    const match = response.result?.[0];
+    if (!match) {
+        throw new Error(`XML ID ${xmlId} does not exist in Odoo`);
+    }
+    if (match.model !== model) {
+        throw new Error(`XML ID ${xmlId} points to ${match.model}, expected ${model}`);
+    }
+    return [["id", "=", match.res_id]];
+};
+
+
+// Resolve a single mapping reference to one validated Odoo record
+const resolveReference = async (key, reference, label = key) => {
+    const { model, codeField, fields, validate } = MAPPING_KEYS[key];
+    if (!reference || (!reference.xmlId && !reference.code)) {
+        throw new Error(`Mapping ${label} needs an xmlId or code`);
+    }
+
+    const domain = reference.xmlId
+        ? await resolveXmlId(reference.xmlId, model)
+        : [[codeField, "=", reference.code]];
+
+    const endpoint = `/web/dataset/call_kw/${model}/search_read`;
+    const params = {
+        model: model,
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: domain,
+            fields: ["id", "display_name", ...fields]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    const records = response.result || [];
+
+    if (records.length !== 1) {
+        throw new Error(`Mapping ${label} (${JSON.stringify(reference)}) matched ${records.length} ${model} records, expected exactly 1`);
+    }
+    if (validate && !validate(records[0])) {
+        throw new Error(`Mapping ${label} resolved to ${model} "${records[0].display_name}", which is not valid for this use`);
+    }
+    console.log(`Mapping ${label} resolved to ${model} ${records[0].id} "${records[0].display_name}"`);
+    return records[0];
+};
+
+
+// Resolve the requested mapping keys once per cold start and return their Odoo IDs
+export const resolveOdooMapping = async (keys) => {
+    const missingKeys = keys.filter(key => !(key in resolvedMapping));
+    if (!missingKeys.length) {
+        return resolvedMapping;
+    }
+
+    try {
+        const config = await getConfigItem(MAPPING_CONFIG_ID);
+        for (const key of missingKeys) {
+            if (!MAPPING_KEYS[key]) {
+                throw new Error(`Unknown mapping key ${key}`);
+            }
+            resolvedMapping[key] = (await resolveReference(key, config[key])).id;
+        }
+        return resolvedMapping;
+    } catch (error) {
+        console.error('Error resolving Odoo mapping:', error);
+        throw new Error(`Error resolving Odoo mapping: ${error.message}`);
+    }
+};
+
+
+// Resolve every reference of a keyed mapping section, e.g. warehouseLocations. Returns a Map of key to record
+const resolveReferenceMap = async (configKey, mappingKey, fresh = false) => {
+    const config = await getConfigItem(MAPPING_CONFIG_ID, { fresh });
+    const records = new Map();
+    for (const [key, reference] of Object.entries(config[configKey] || {})) {
+        records.set(key, await resolveReference(mappingKey, reference, `${configKey}.${key}`));
+    }
+    return records;
+};
+
+
+// Resolve the Infraspeak warehouse to Odoo location mapping once per cold start. Returns a Map of
+// Infraspeak warehouse ID to the location's { id, name }
+export const resolveWarehouseLocations = async () => {
+    if (resolvedWarehouseLocations) {
+        return resolvedWarehouseLocations;
+    }
+
+    try {
+        const records = await resolveReferenceMap(WAREHOUSE_LOCATIONS_KEY, 'warehouseLocation');
+        resolvedWarehouseLocations = new Map([...records].map(([warehouseId, record]) => [String(warehouseId), { id: record.id, name: record.complete_name }]));
+        return resolvedWarehouseLocations;
+    } catch (error) {
+        console.error('Error resolving warehouse locations:', error);
+        throw new Error(`Error resolving warehouse locations: ${error.message}`);
+    }
+};
+
+
+// Resolve the Infraspeak unit to Odoo unit of measure mapping once per cold start. Returns a Map of
+// lower-case Infraspeak unit to uom.uom ID
+export const resolveInfraspeakUnits = async () => {
+    if (resolvedInfraspeakUnits) {
+        return resolvedInfraspeakUnits;
+    }
+
+    try {
+        const records = await resolveReferenceMap(UNITS_OF_MEASURE_KEY, 'unitOfMeasure');
+        resolvedInfraspeakUnits = new Map([...records].map(([unit, record]) => [unit.trim().toLowerCase(), record.id]));
+        return resolvedInfraspeakUnits;
+    } catch (error) {
+        console.error('Error resolving units of measure:', error);
+        throw new Error(`Error resolving units of measure: ${error.message}`);
+    }
+};
+
+
+// Resolve the Infraspeak cost center mapping and the optional default cost center once per cold start,
+// against the model of the given mapping key. Returns a Map of Infraspeak cost center ID to record ID,
+// and the default's record ID or null. fresh re-reads the config and Odoo instead of the cached mapping
+export const resolveCostCenterMapping = async (mappingKey, { fresh = false } = {}) => {
+    if (resolvedCostCenters[mappingKey] && !fresh) {
+        return resolvedCostCenters[mappingKey];
+    }
+
+    try {
+        const records = await resolveReferenceMap(COST_CENTERS_KEY, mappingKey, fresh);
+        const config = await getConfigItem(MAPPING_CONFIG_ID);
+        const defaultReference = config[DEFAULT_COST_CENTER_KEY];
+        resolvedCostCenters[mappingKey] = {
+            costCenters: new Map([...records].map(([costCenterId, record]) => [String(costCenterId), record.id])),
+            defaultCostCenter: defaultReference ? (await resolveReference(mappingKey, defaultReference, DEFAULT_COST_CENTER_KEY)).id : null
+        };
+        return resolvedCostCenters[mappingKey];
+    } catch (error) {
+        console.error('Error resolving cost center mapping:', error);
+        throw new Error(`Error resolving cost center mapping: ${error.message}`);
+    }
+};
+
+
+// Resolve the Infraspeak operator to Odoo employee mapping once per cold start. Returns a Map of
+// Infraspeak operator ID to hr.employee ID
+export const resolveEmployees = async () => {
+    if (resolvedEmployees) {
+        return resolvedEmployees;
+    }
+
+    try {
+        const records = await resolveReferenceMap(EMPLOYEES_KEY, 'employee');
+        resolvedEmployees = new Map([...records].map(([operatorId, record]) => [String(operatorId), record.id]));
+        return resolvedEmployees;
+    } catch (error) {
+        console.error('Error resolving employees:', error);
+        throw new Error(`Error resolving employees: ${error.message}`);
+    }
+};
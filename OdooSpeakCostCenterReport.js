@@ -0,0 +1,119 @@
+/*
+    This Lambda function runs on a schedule and reports Infraspeak cost centers that have no Odoo mapping,
+    neither an entry in the costCenters mapping nor an Odoo record with the same code. Finance is notified
+    by SNS, so the mapping can be completed before orders on those cost centers fail or post to the
+    default cost center.
+*/
+
+import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
+import { configureOdoo } from './OdooClient.js';
+import { configureInfraspeak, resetInfraspeakRequestStats, getInfraspeakRequestStats } from './InfraspeakClient.js';
+import { getInfraspeakCostCenters, findUnmappedCostCenters, costCenterMode } from './CostCenters.js';
+import { profile, awsClientConfig, resolveOdooBaseUrl } from './Environment.js';
+import { setDryRun, endDryRun, isDryRun, getDryRunPlan, recordWrite } from './DryRun.js';
+
+const SECRET_ID = profile.secretId;
+const secretsManager = new SecretsManagerClient(awsClientConfig);
+
+let secretsCache = null;
+
+// Get secrets and cache
+const getSecrets = async () => {
+    if (!secretsCache) {
+        const command = new GetSecretValueCommand({ SecretId: SECRET_ID });
+        const response = await secretsManager.send(command);
+        secretsCache = JSON.parse(response.SecretString);
+    }
+    return secretsCache;
+};
+
+let secretsInitialized = false;
+
+// Initialise secrets globally
+const initializeSecrets = async () => {
+    if (!secretsInitialized) {
+        const secrets = await getSecrets();
+        configureInfraspeak({
+            baseUrl: profile.infraspeakBaseUrl,
+            apiKey: secrets.INFRASPEAK_API_KEY,
+            userAgent: `OdooSpeak (${secrets.INFRASPEAK_EMAIL})`
+        });
+        configureOdoo({
+            baseUrl: resolveOdooBaseUrl(secrets),
+            db: secrets.ODOO_DB,
+            login: secrets.ODOO_LOGIN,
+            password: secrets.ODOO_PASSWORD,
+            apiKey: secrets.ODOO_API_KEY
+        });
+        secretsInitialized = true;
+    }
+};
+
+const snsClient = new SNSClient(awsClientConfig);
+
+const notifyReport = async (message) => {
+    const params = {
+        Message: message,
+        Subject: "Odoo Integration: unmapped cost centers",
+        TopicArn: profile.snsTopicArn,
+    };
+    if (isDryRun()) {
+        recordWrite('sns', 'Publish', params);
+        return;
+    }
+    try {
+        await snsClient.send(new PublishCommand(params));
+        console.log('Unmapped cost center report sent.');
+    } catch (err) {
+        console.error('Error sending SNS notification:', err);
+    }
+};
+
+
+// Event handler
+export const handler = async (event = {}) => {
+    setDryRun(event?.dryRun === true);
+    await initializeSecrets();
+    resetInfraspeakRequestStats();
+
+    try {
+        // Step 1: fetch Infraspeak cost centers and find those without an Odoo mapping
+        const costCenters = await getInfraspeakCostCenters();
+        const unmapped = await findUnmappedCostCenters(costCenters);
+
+        if (!unmapped.length) {
+            return createResponse(`All ${costCenters.length} Infraspeak cost center(s) are mapped to Odoo.`, 200);
+        }
+
+        // Step 2: notify finance with one line per unmapped cost center
+        const lines = unmapped.map(costCenter => {
+            const outcome = costCenter.fallback === 'default' ? 'posts to the default cost center' : 'orders fail';
+            return `- ${costCenter.name} (Infraspeak id ${costCenter.id}, code ${costCenter.code || 'none'}): ${outcome}`;
+        });
+        const message = `${unmapped.length} of ${costCenters.length} Infraspeak cost center(s) have no Odoo ${costCenterMode} mapping.`;
+        await notifyReport(`${message}\n\n${lines.join('\n')}\n\nAdd them to costCenters in the odoo_mapping config.`);
+
+        return createResponse(message, 200, { unmapped });
+
+    } catch (error) {
+        console.error('Error reporting unmapped cost centers:', error);
+        return createResponse(`Error reporting unmapped cost centers: ${error.message}`, 500);
+    } finally {
+        console.log('Infraspeak API usage this run:', getInfraspeakRequestStats());
+        endDryRun();
+    }
+};
+
+
+// Create a return response. A dry run also returns the plan of writes it skipped
+const createResponse = (message, statusCode = 200, details = {}) => {
+    return {
+        statusCode: statusCode,
+        body: JSON.stringify({
+            message: message,
+            ...details,
+            ...(isDryRun() && { dryRun: true, plan: getDryRunPlan() }),
+        }),
+    };
+};
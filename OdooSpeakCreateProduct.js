@@ -1,8 +1,12 @@
-/* global fetch */
 import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import { configureOdoo, fetchRequestOdooPage, fetchRequestPaginateOdoo } from './OdooClient.js';
+import { configureInfraspeak, fetchRequestInfraspeak, resetInfraspeakRequestStats, getInfraspeakRequestStats } from './InfraspeakClient.js';
+import { profile, awsClientConfig, resolveOdooBaseUrl } from './Environment.js';
+import { setDryRun, endDryRun, isDryRun, getDryRunPlan } from './DryRun.js';
+import { loadUnitsOfMeasure, getOdooUomForUnit, getInfraspeakUnitForUom, convertQuantity, convertUnitPrice } from './UnitOfMeasure.js';
 
-const SECRET_ID = 'odooSpeak/credentials';
-const secretsManager = new SecretsManagerClient({ region: 'eu-west-2' });
+const SECRET_ID = profile.secretId;
+const secretsManager = new SecretsManagerClient(awsClientConfig);
 
 let secretsCache = null;
 
@@ -18,20 +22,24 @@ const getSecrets = async () => {
 
 
 let secretsInitialized = false;
-let INFRASPEAK_API_KEY, INFRASPEAK_EMAIL, ODOO_API_KEY, ODOO_DB, ODOO_LOGIN, ODOO_PASSWORD, ODOO_ACCOUNT;
 
 // Initialise secrets globally
 const initializeSecrets = async () => {
     if (!secretsInitialized) {
         try {
             const secrets = await getSecrets();
-            INFRASPEAK_API_KEY = secrets.INFRASPEAK_API_KEY;
-            INFRASPEAK_EMAIL = ""
-            ODOO_API_KEY = secrets.ODOO_API_KEY;
-            ODOO_DB = secrets.ODOO_DB;
-            ODOO_LOGIN = secrets.ODOO_LOGIN;
-            ODOO_PASSWORD = secrets.ODOO_PASSWORD;
-            ODOO_ACCOUNT = secrets.ODOO_ACCOUNT;
+            configureInfraspeak({
+                baseUrl: profile.infraspeakBaseUrl,
+                apiKey: secrets.INFRASPEAK_API_KEY,
+                userAgent: 'InfraspeakToUnleashedStockLevels (splk.sandbox@infraspeak.com)'
+            });
+            configureOdoo({
+                baseUrl: resolveOdooBaseUrl(secrets),
+                db: secrets.ODOO_DB,
+                login: secrets.ODOO_LOGIN,
+                password: secrets.ODOO_PASSWORD,
+                apiKey: secrets.ODOO_API_KEY
+            });
             secretsInitialized = true;
         } catch (error) {
             throw new Error(`Failed to initialize secrets: ${error.message}`);
@@ -40,8 +48,11 @@ const initializeSecrets = async () => {
 };
 
 export const handler = async (event) => {
+    setDryRun(event?.dryRun === true);
     try {
         await initializeSecrets();
+        resetInfraspeakRequestStats();
+        await loadUnitsOfMeasure();
         
         // Step 1: Fetch data from both platforms
         const [stockOdoo, productsInfraspeak, warehousesInfraspeak] = await Promise.all([
@@ -76,6 +87,9 @@ export const handler = async (event) => {
         console.error('Error handling webhook event:', error);
         return createResponse('Error handling webhook event', 500);
 
+    } finally {
+        console.log('Infraspeak API usage this run:', getInfraspeakRequestStats());
+        endDryRun();
     }
 };
 
@@ -203,15 +217,24 @@ const getProductDetailsOdoo = async (odooData, productCodes, warehousesInfraspea
         throw new Error(`No matching warehouse found for warehouseCode: ${warehouseCode}`);
     }
 
+    // The material takes the Infraspeak unit of the product's unit of measure, or else of its purchase unit
+    const productUomId = productDetails.uom_id[0];
+    const units = getInfraspeakUnitForUom(productUomId) || getInfraspeakUnitForUom(productDetails.uom_po_id[0]);
+    if (!units) {
+        throw new Error(`No Infraspeak unit mapped for ${productDetails.uom_id[1]} or ${productDetails.uom_po_id[1]} (product ${productCode})`);
+    }
+    const materialUomId = getOdooUomForUnit(units);
+
     // Return the product and warehouse details
     return {
         productCode: productCode.trim(),
         productName: productDetails.name.trim(),
-        averageCost: productDetails.avg_cost,
+        averageCost: convertUnitPrice(productDetails.avg_cost, productUomId, materialUomId),
         categoryName: productDetails.categ_id[1].trim(),
         categoryCode: categoryCode.trim().toUpperCase(),
         warehouseId: warehouseDetails.attributes.warehouse_id,
-        quantity: stockDetails.quantity
+        units: units,
+        quantity: convertQuantity(stockDetails.quantity, productUomId, materialUomId)
     };
 };
 
@@ -275,7 +298,7 @@ const createMaterialPayload = (productDetails, folderId, warehouseIds) => ({
     "code": productDetails.productCode,
     "observation": "",
     "mean_price": productDetails.averageCost,
-    "units": "un",
+    "units": productDetails.units,
     "material_warehouse": [{
         "warehouse_id": productDetails.warehouseId,
         "min_stock": 1,
@@ -303,12 +326,13 @@ const createStockMovementPayload = (materialId, quantity, warehouseId) => ({
 });
 
 
-// Create a return response
+// Create a return response. A dry run also returns the plan of writes it skipped
 const createResponse = (message, statusCode = 200) => {
     return {
         statusCode: statusCode,
         body: JSON.stringify({
             message: message,
+            ...(isDryRun() && { dryRun: true, plan: getDryRunPlan() }),
         }),
     };
 };
@@ -349,31 +373,6 @@ const fetchProductsInfraspeak = async () => {
 };
 
 
-// Function to fetch data from Infraspeak
-const fetchRequestInfraspeak = async (endpoint, method, body = null) => {
-    //const url = `https://api.sandbox.infraspeak.com/v3/${endpoint}`;
-    const url = `https://api.infraspeak.com/v3/${endpoint}`;
-    try {
-        const response = await fetch(url, {
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${INFRASPEAK_API_KEY}`,
-                'Content-Type': 'application/json',
-                'User-Agent': 'InfraspeakToUnleashedStockLevels (splk.sandbox@infraspeak.com)'
-            },
-            body: body ? JSON.stringify(body) : undefined
-        });
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.json();
-    }catch (error) {
-        console.error(`Error ${method}ing to Infraspeak:`, error);
-        throw error;
-    }
-};
-
-
 // Fetch locations from Odoo
 const fetchStockOdoo = async () => {
     const endpoint = '/web/dataset/call_kw/stock.quant/search_read';
@@ -402,7 +401,7 @@ const fetchProductsOdoo = async (productId) => {
             args: [],
             kwargs: {
                 domain: [["id", "=", productId]],
-                fields: ["code", "name", "avg_cost", "free_qty", "stock_quant_ids", "categ_id"],
+                fields: ["code", "name", "avg_cost", "free_qty", "stock_quant_ids", "categ_id", "uom_id", "uom_po_id"],
             }
         };
         const response = await fetchRequestPaginateOdoo(endpoint, params);
@@ -432,118 +431,3 @@ const fetchCategoryOdoo = async (categoryId) => {
     const response = await fetchRequestPaginateOdoo(endpoint, params);
     return response[0].x_studio_char_field_49j_1ibhepvhj;
 };
-
-
-// Fetch request to Odoo - Pagination
-const fetchRequestPaginateOdoo = async (endpoint, params) => {
-    let allResults = [];
-    let limit = 100;
-    let offset = 0;
-    let moreProducts = true;
-
-    while (moreProducts) {
-        const response = await fetchRequestOdooPage(endpoint, params, limit, offset);
-        if (response && response.length > 0) {
-            allResults = allResults.concat(response);
-            offset += limit;
-        } else {
-            moreProducts = false;
-        }
-    }
-    return allResults;
-};
-
-
-// Fetch request to Odoo - One page
-const fetchRequestOdooPage = async (endpoint, params, limit, offset) => {
-    params.kwargs.limit = limit;
-    params.kwargs.offset = offset;
-    
-    const body = {
-        jsonrpc: "2.0",
-        method: "call",
-        params: params,
-        id: Math.floor(Math.random() * 1000)
-    };
-    
-    try {
-        const response = await fetchRequestOdoo(endpoint, body);
-        
-        if (response && response.result && response.result.length > 0) {
-            return response.result;
-        } else {
-            console.log('No product data found.');
-            return [];
-        }
-    } catch (error) {
-        console.error('Error fetching products:', error);
-    }
-};
-
-
-// Fetch request to Odoo
-const fetchRequestOdoo = async (endpoint, body) => {
-    try {
-        const baseUrl = `https://${ODOO_ACCOUNT}.odoo.com`;
-        const sessionId = await authenticateOdoo(baseUrl);
-        
-        const response = await fetch(`${baseUrl}${endpoint}`, {
-            method: "POST",
-            headers: {
-                'Content-Type': 'application/json',
-                'cookie': `session_id=${sessionId}`,
-            },
-            body: JSON.stringify(body) 
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('HTTP Error:', response.status, errorText);
-            throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error:', error);
-    }
-};
-
-
-// Function to authenicate Odoo account
-const authenticateOdoo = async (baseUrl) => {
-    const endpoint = '/web/session/authenticate';
-    
-    const response = await fetch(`${baseUrl}${endpoint}`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${ODOO_API_KEY}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            jsonrpc: "2.0",
-            method: "call",
-            params: {
-                db: ODOO_DB,
-                login: ODOO_LOGIN,
-                password: ODOO_PASSWORD
-            },
-            id: Math.floor(Math.random() * 1000)
-        })
-    });
-	
-    if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    if (data.error) {
-        throw new Error(`Authentication error: ${data.error.message}`);
-    }
-    
-    // Extract session ID from the Set-Cookie header if available
-    const cookies = response.headers.get('Set-Cookie');
-    const sessionIdMatch = cookies && cookies.match(/session_id=([^;]*)/);
-    const sessionId = sessionIdMatch ? sessionIdMatch[1] : null;
-
-    return sessionId;
-};
\ No newline at end of file
@@ -1,25 +1,109 @@
 /*
     This Lambda function polls new Requests in Infraspeak. Updates or inserts to DynamoDB. Then updates 
     or inserts material costs in Odoo Accounts and stock levels in Odoo Inventory. 
-    It also intends to reverse postings when Requests are cancelled on Infraspeak
+    It also intends to reverse postings when Requests are cancelled on Infraspeak, and moves what was
+    posted for a work order whose cost center changed to its new cost center
+    Admin events { action: "reverse" | "reprocess" | "forget", request_id } act on a single request, and
+    { action: "list-reversed" | "backfill-reversed-state" } on the reversed requests of the table
 */
 
-/* global fetch */
 import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
 import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
-
-const SECRET_ID = 'odooSpeak/credentials';
-const secretsManager = new SecretsManagerClient({ region: 'eu-west-2' });
-
-const client = new DynamoDBClient({ region: "eu-west-2" });
-const dynamoDb = DynamoDBDocumentClient.from(client);
-const tableName = "odooSpeakRequests";
-
-const accountJournalId = 16; // Journal name: Inventory Valuation
-const accountIdInventories = 482; // Account name: 5013100 Inventories
-const locationDestId = 16;  // Virtual Locations/Scrap
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand, ScanCommand, BatchGetCommand } from "@aws-sdk/lib-dynamodb";
+import { configureOdoo, fetchRequestOdoo, fetchRequestPaginateOdoo, createOdooRecordOnce } from './OdooClient.js';
+import { resolveOdooMapping, resolveWarehouseLocations } from './OdooMapping.js';
+import { loadUnitsOfMeasure, getOdooUomForUnit, convertQuantity, convertUnitPrice } from './UnitOfMeasure.js';
+import { getInfraspeakCostCenters, findInfraspeakCostCenter, resolveOdooCostCenter, analyticFields, costCenterMode, isSameCostCenter, postCostCenterReclassification } from './CostCenters.js';
+import { configureInfraspeak, fetchRequestInfraspeak, resetInfraspeakRequestStats, getInfraspeakRequestStats } from './InfraspeakClient.js';
+import { profile, awsClientConfig, resolveOdooBaseUrl } from './Environment.js';
+import { setDryRun, endDryRun, isDryRun, getDryRunPlan, recordWrite, guardDynamoWrites } from './DryRun.js';
+
+const SECRET_ID = profile.secretId;
+const secretsManager = new SecretsManagerClient(awsClientConfig);
+
+const client = new DynamoDBClient(awsClientConfig);
+const dynamoDb = guardDynamoWrites(DynamoDBDocumentClient.from(client));
+const tableName = profile.tables.requests;
+const configTableName = profile.tables.config;
+
+// Config items holding the date_updated high-water marks of the request poll and of the work order poll.
+// Editing a work order's cost center does not update its requests, so work orders are polled as well
+const SYNC_CURSOR_ID = 'requests_sync_cursor';
+const ORDER_SYNC_CURSOR_ID = 'orders_sync_cursor';
+const CANCELLED_REQUEST_STATES = 'CANCELED';
+
+// Global secondary indexes on the requests table. DynamoDB cannot index booleans, so reversed items
+// also carry reversed_state = "REVERSED", which is removed again when the reversal is undone. Items
+// reversed before reversed_state was kept are indexed by the backfill-reversed-state admin action.
+// Requests of a work order whose reclassification failed carry reclassification_status = "FAILED"
+// until a later poll reclassifies them
+const RELATED_TO_INDEX = 'related_to_id-index';
+const SYNC_STATUS_INDEX = 'sync_status-index';
+const REVERSED_INDEX = 'reversed_state-index';
+const RECLASSIFICATION_INDEX = 'reclassification_status-index';
+
+// Actions an admin event can run on a single request, and those that act on the whole table
+const ADMIN_ACTIONS = ['reverse', 'reprocess', 'forget'];
+const TABLE_ADMIN_ACTIONS = ['list-reversed', 'backfill-reversed-state'];
+
+// What to do when Odoo holds less stock than a request consumed:
+//   reject          - fail the request, nothing is posted
+//   allow_negative  - post the full quantity and let Odoo stock go negative
+//   partial         - post what is available. The request stays PARTIAL and the remainder is posted on later polls
+//   accounting_only - post the journal in full but no stock move, flagging the line for correction in Odoo.
+//                     A later reduction comes off the flagged quantity first, in the journal only
+// Every policy but reject also covers material with no quant at its location yet, such as material
+// consumed before its receipt is booked
+const STOCK_POLICIES = ['reject', 'allow_negative', 'partial', 'accounting_only'];
+const stockPolicy = profile.insufficientStockPolicy;
+
+if (!STOCK_POLICIES.includes(stockPolicy)) {
+    throw new Error(`Unknown insufficient stock policy "${stockPolicy}". Expected one of: ${STOCK_POLICIES.join(', ')}`);
+}
+
+// How journal lines are valued:
+//   infraspeak - every line at the Infraspeak mean price
+//   odoo       - the inventory line at the Odoo cost of the quants consumed, the cost center line at the
+//                Infraspeak mean price, and the difference on the price variance account
+const VALUATION_METHODS = ['infraspeak', 'odoo'];
+const materialValuation = profile.materialValuation;
+
+if (!VALUATION_METHODS.includes(materialValuation)) {
+    throw new Error(`Unknown material valuation "${materialValuation}". Expected one of: ${VALUATION_METHODS.join(', ')}`);
+}
+
+// How stock is posted:
+//   manual  - done stock.move records to the scrap location, with a hand-built journal per posting
+//   picking - a validated stock.picking of the consumption operation type into the cost center's consumption
+//             location, so Odoo's stock valuation books the journal. Only stock posted without a move
+//             under the accounting_only policy still gets a hand-built journal
+const POSTING_MODES = ['manual', 'picking'];
+const postingMode = profile.postingMode;
+
+if (!POSTING_MODES.includes(postingMode)) {
+    throw new Error(`Unknown posting mode "${postingMode}". Expected one of: ${POSTING_MODES.join(', ')}`);
+}
+
+// Odoo books picking valuation without analytic distribution, so analytic cost centers need manual posting
+if (postingMode === 'picking' && costCenterMode === 'analytic') {
+    throw new Error('The picking posting mode cannot post to analytic cost centers. Use the manual posting mode');
+}
+
+// Odoo journal, account and location IDs, resolved from the odoo_mapping config at cold start
+const MAPPING_KEYS = [
+    'inventoryJournal', 'inventoryAccount', 'scrapLocation',
+    ...(materialValuation === 'odoo' ? ['priceVarianceAccount'] : []),
+    ...(postingMode === 'picking' ? ['consumptionPickingType'] : [])
+];
+let odooMapping;
+let warehouseLocations;
+
+// Odoo consumption location per cost center account, looked up once per cold start
+const consumptionLocations = new Map();
+
+// Odoo products by upper-case internal reference, for material without a quant
+const productsByCode = new Map();
 
 let secretsCache = null;
 
@@ -34,31 +118,39 @@ const getSecrets = async () => {
 };
 
 let secretsInitialized = false;
-let INFRASPEAK_API_KEY, INFRASPEAK_EMAIL, ODOO_API_KEY, ODOO_DB, ODOO_LOGIN, ODOO_PASSWORD, ODOO_ACCOUNT;
 
 // Initialise secrets globally
 const initializeSecrets = async () => {
     if (!secretsInitialized) {
         const secrets = await getSecrets();
-        INFRASPEAK_API_KEY = secrets.INFRASPEAK_API_KEY; 
-        INFRASPEAK_EMAIL = secrets.INFRASPEAK_EMAIL
-        ODOO_API_KEY = secrets.ODOO_API_KEY;
-        ODOO_DB = secrets.ODOO_DB;
-        ODOO_LOGIN = secrets.ODOO_LOGIN;
-        ODOO_PASSWORD = secrets.ODOO_PASSWORD;
-        ODOO_ACCOUNT = secrets.ODOO_ACCOUNT;
+        configureInfraspeak({
+            baseUrl: profile.infraspeakBaseUrl,
+            apiKey: secrets.INFRASPEAK_API_KEY,
+            userAgent: `OdooSpeak (${secrets.INFRASPEAK_EMAIL})`
+        });
+        configureOdoo({
+            baseUrl: resolveOdooBaseUrl(secrets),
+            db: secrets.ODOO_DB,
+            login: secrets.ODOO_LOGIN,
+            password: secrets.ODOO_PASSWORD,
+            apiKey: secrets.ODOO_API_KEY
+        });
         secretsInitialized = true;
     }
 };
 
-const snsClient = new SNSClient({ region: 'eu-west-2' });
+const snsClient = new SNSClient(awsClientConfig);
 
 const notifyError = async (errorMessage) => {
     const params = {
         Message: errorMessage,
         Subject: "Odoo Integration Error",
-        TopicArn: "arn:aws:sns:eu-west-2:891377393286:OdooSpeakNotification",
+        TopicArn: profile.snsTopicArn,
     };
+    if (isDryRun()) {
+        recordWrite('sns', 'Publish', params);
+        return;
+    }
     try {
         await snsClient.send(new PublishCommand(params));
         console.log('Error notification sent.');
@@ -71,19 +163,43 @@ let approvedBy;
 let completedDate;
 
 // Event handler
-export const handler = async () => {
+export const handler = async (event = {}) => {
+    setDryRun(event?.dryRun === true);
     await initializeSecrets();
-
-    // const reversals = ['10419472'];
-    // await processStockReversal('10419472');
-    // await processJournalReversal('10419472');
+    resetInfraspeakRequestStats();
   
     try {
-        // Step 1: fetch Closed Requests from Infraspeak
-        const payloadRequest = await getInfraspeakRequests();
+        // Step 0: resolve and validate Odoo journal, account and location mapping
+        odooMapping = await resolveOdooMapping(MAPPING_KEYS);
+        warehouseLocations = await resolveWarehouseLocations();
+        await loadUnitsOfMeasure();
+
+        // Admin events act on a single request instead of polling Infraspeak
+        if (event.action) {
+            return await handleAdminAction(event);
+        }
+
+        // Step 1: fetch Requests completed or cancelled since the last poll from Infraspeak
+        const cursor = await getSyncCursor();
+        const [payloadRequest, cancelledRequests] = await Promise.all([
+            getInfraspeakRequests(cursor),
+            getCancelledInfraspeakRequests(cursor)
+        ]);
 
         //Step 2: check payload request with DynamoDb. Insert, update, or ignore
-        const checkedWithDynamo = await checkAndUpsertRequests(payloadRequest)
+        const checkedWithDynamo = await checkAndUpsertRequests(payloadRequest, cancelledRequests)
+
+        // Step 2.1: every change up to here is tracked in DynamoDB, so the cursor can move on
+        await saveSyncCursor(cursor, [...payloadRequest, ...cancelledRequests]);
+
+        // Step 2.2: move what was posted for work orders whose cost center changed since the last poll.
+        // A failure here is retried on the next poll and must not hold up posting requests
+        try {
+            await reclassifyUpdatedOrders();
+        } catch (error) {
+            console.error('Error reclassifying updated work orders:', error);
+            await notifyError(`Cost center reclassification of updated work orders failed: ${error.message}`);
+        }
 
         if (!checkedWithDynamo) {
             return createResponse(`Okay. No new Requests to process.`, 200);
@@ -91,179 +207,592 @@ export const handler = async () => {
 
         // Step 3: fetch Infraspeak Cost Centers and Odoo Stock data
         const [costCenters, odooStock] = await Promise.all([
-            getCostCentersInfraspeak(),
+            getInfraspeakCostCenters(),
             getOdooStockQuant()
         ]);
 
-        // Step 4: loop through each newly created and newly updated items
-        for(let item of checkedWithDynamo){
-            let infraspeakData;
-            let odooResponse;
-            let orderType = item.related_to_type === "FAILURE" ? "Work Order" : "Planned Order";
-
-            // Step 4.1: if state COMPLETED process results
-            if (item.state === "COMPLETED"){
-                infraspeakData =  await getInfraspeakData(item.related_to_id, orderType)
-                
-                // Step 4.1.1: obtain user information
-                const { approved_by_id: approved_By, completed_date } = infraspeakData.data.attributes;
-                approvedBy = approved_By;
-                completedDate = completed_date;
- 
-                // Step 4.1.2: Process Infraspeak data - create list of material
-                const processedWorkOrder = await processWorkOrder(infraspeakData, costCenters, item.related_to_id, orderType, item.upserted, item.request_id);
- 
-                // Step 4.1.3: Prepare Inventory data for posting 
-                const preparedInventoryPosting = await prepareInventoryPosting(processedWorkOrder.material, odooStock);
-            
-                // Step 4.1.4: Post Inventory and Accounting data to Odoo
-                odooResponse = await postToOdoo(preparedInventoryPosting, processedWorkOrder, orderType, item.state, item.request_id);
-            }
-            // Step 4.2.0: If state REVERSED process results // (item.state === "REVERSED")
-            else {
-                // Step: 4.2.1: fetch stock_move_ids and account_move_id from Dynamo
-                const resultIds = await fetchOdooIdsFromDynamo(item.request_id);
-
-                // Step: 4.2.2: prepared data for reversing
-                const preparedStock =  await processStockReversal(item.related_to_id, item.request_id, resultIds.stock_move_ids)
-                const preparedJournal =  await processJournalReversal(item.related_to_id, resultIds.account_move_id, resultIds.cost_center_odoo)
-
-                // Step 4.2.4: Post Inventory and Accounting data to Odoo
-                odooResponse = await postToOdoo(preparedStock, preparedJournal, orderType, item.state, item.request_id);
-            }
-
-            if (odooResponse){
-                return createResponse(`Successfully posted ${orderType} Id ${item.related_to_id} to Odoo.`, 200);
-            }
-            else{
-                console.log(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
-                throw new Error(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
-            }
+        // Step 4: process every newly created, updated, reversed or retried item. A failure is recorded
+        // against its own request and leaves it eligible for the next poll
+        const outcomes = [];
+        for (const item of checkedWithDynamo) {
+            outcomes.push(await postRequestItem(item, costCenters, odooStock));
         }
 
+        const failed = outcomes.filter(outcome => !isPostedStatus(outcome.status)).length;
+        const message = `Processed ${outcomes.length} Request(s): ${outcomes.length - failed} posted, ${failed} failed.`;
+        return createResponse(message, failed ? 500 : 200, { outcomes });
+
     } catch (error) {
         const userDetails = await getUserDetails(approvedBy);
         console.error('Error handling requests:', error);
         const emailContent = `Error: ${error.message}\n\nUser name: ${userDetails.name}\nUser email: ${userDetails.email}\nCompleted date: ${completedDate}`;
         //await notifyError(emailContent);
         return createResponse(`Error processing Requests: ${error.message}`, 500);
+    } finally {
+        console.log('Infraspeak API usage this run:', getInfraspeakRequestStats());
+        endDryRun();
+    }
+};
+
+
+
+// Admin event: { action: "reverse" | "reprocess" | "forget", request_id }
+//   reverse   - reverse what is posted in Odoo for the request and mark it reversed
+//   reprocess - post the request again. Posting only adds what Odoo does not hold yet
+//   forget    - stop tracking the request. Only allowed when nothing of it stands in Odoo
+// or { action: "list-reversed" | "backfill-reversed-state" }
+//   list-reversed           - list the reversed requests and whether their reversal is posted
+//   backfill-reversed-state - set reversed_state on reversed items that predate it, so they are listed
+const handleAdminAction = async (event) => {
+    const { action } = event;
+    const requestId = event.request_id ? String(event.request_id) : null;
+
+    if (!ADMIN_ACTIONS.includes(action) && !TABLE_ADMIN_ACTIONS.includes(action)) {
+        return createResponse(`Unknown action: ${action}. Expected one of ${[...ADMIN_ACTIONS, ...TABLE_ADMIN_ACTIONS].join(', ')}.`, 400);
+    }
+    if (action === "list-reversed") {
+        const reversed = (await getReversedRequestsFromDynamo()).map(item => ({
+            request_id: item.request_id,
+            related_to_id: item.related_to_id,
+            sync_status: item.sync_status
+        }));
+        return createResponse(`${reversed.length} reversed request(s).`, 200, { reversed });
+    }
+    if (action === "backfill-reversed-state") {
+        const backfilled = await backfillReversedState();
+        return createResponse(`Set reversed_state on ${backfilled} reversed request(s).`, 200);
+    }
+    if (!requestId) {
+        return createResponse(`Action ${action} needs a request_id.`, 400);
+    }
+
+    const item = (await getRequestsFromDynamo([requestId])).get(requestId);
+    if (!item) {
+        return createResponse(`Request ${requestId} is not tracked.`, 404);
+    }
+    const postedInOdoo = isPostedInOdoo(item);
+    const reversalPosted = item.reversed && item.sync_status === "POSTED";
+    console.log(`Admin action ${action} on request ${requestId}, sync_status: ${item.sync_status}, reversed: ${item.reversed}`);
+
+    if (action === "reverse") {
+        if (!postedInOdoo) {
+            return createResponse(`Request ${requestId} was never posted to Odoo. Nothing to reverse.`, 409);
+        }
+        if (reversalPosted) {
+            return createResponse(`Request ${requestId} is already reversed in Odoo.`, 409);
+        }
+        if (item.sync_status === "COMPENSATION_FAILED") {
+            return createResponse(`Request ${requestId} needs manual correction in Odoo before it can be reversed.`, 409);
+        }
+        await markAsReversed(requestId, "PENDING");
+        const outcome = await postRequestItem(reversedResult(item));
+        return createResponse(`Reverse request ${requestId}: ${outcome.status}`, isPostedStatus(outcome.status) ? 200 : 500, { outcomes: [outcome] });
+    }
+
+    if (action === "reprocess") {
+        const [costCenters, odooStock] = item.reversed ? [] : await Promise.all([
+            getInfraspeakCostCenters(),
+            getOdooStockQuant()
+        ]);
+        const outcome = await postRequestItem(item.reversed ? reversedResult(item) : completedResult(item, "REPROCESS"), costCenters, odooStock);
+        return createResponse(`Reprocess request ${requestId}: ${outcome.status}`, isPostedStatus(outcome.status) ? 200 : 500, { outcomes: [outcome] });
+    }
+
+    // forget: a posting still standing in Odoo would be posted a second time if the request came back.
+    // This holds for COMPENSATION_FAILED too, which still carries the IDs of what it posted
+    if (postedInOdoo && !reversalPosted) {
+        return createResponse(`Request ${requestId} is posted in Odoo. Reverse it before forgetting it.`, 409);
+    }
+    await deleteRequestFromDynamo(requestId);
+    console.log(`Forgot request ${requestId}`);
+    return createResponse(`Request ${requestId} is no longer tracked.`, 200);
+};
+
+
+// Post one item and record the outcome on the request. A failure leaves it eligible for the next poll
+const postRequestItem = async (item, costCenters, odooStock) => {
+    const orderType = item.related_to_type === "FAILURE" ? "Work Order" : "Planned Order";
+    approvedBy = undefined;
+    completedDate = undefined;
+
+    try {
+        const { syncStatus = "POSTED", posted = true } = await processRequestItem(item, orderType, costCenters, odooStock);
+        await markRequestPosted(item.request_id, syncStatus, posted);
+        console.log(`Successfully posted ${orderType} Id ${item.related_to_id} to Odoo. Status: ${syncStatus}`);
+        return { request_id: item.request_id, related_to_id: item.related_to_id, state: item.state, status: syncStatus };
+    } catch (error) {
+        console.error(`Error processing request ${item.request_id}:`, error);
+        await markRequestFailed(item.request_id, error.message, error.syncStatus, postingAttempt(item) + (error.compensated ? 1 : 0));
+        await notifyRequestError(item.request_id, error);
+        return { request_id: item.request_id, related_to_id: item.related_to_id, state: item.state, status: error.syncStatus || "FAILED", error: error.message };
+    }
+};
+
+
+// A PARTIAL request posted what stock allowed and is not a failure
+const isPostedStatus = (status) => {
+    return status === "POSTED" || status === "PARTIAL";
+};
+
+
+// Post a single completed or reversed request to Odoo
+const processRequestItem = async (item, orderType, costCenters, odooStock) => {
+    let odooResponse;
+
+    // Step 4.1: if state COMPLETED process results
+    if (item.state === "COMPLETED") {
+        const infraspeakData = await getInfraspeakData(item.related_to_id, orderType);
+
+        // Step 4.1.1: obtain user information
+        const { approved_by_id: approved_By, completed_date } = infraspeakData.data.attributes;
+        approvedBy = approved_By;
+        completedDate = completed_date;
+
+        // Step 4.1.2: Process Infraspeak data - create list of material
+        const processedWorkOrder = await processWorkOrder(infraspeakData, costCenters, item.related_to_id, orderType, item.upserted);
+
+        // Step 4.1.2.1: move what the work order's requests posted to a cost center it no longer has
+        await reclassifyWorkOrderRequests(item.related_to_id, processedWorkOrder, orderType);
+        await saveCostCenterToDynamo(item.request_id, processedWorkOrder);
+
+        // Step 4.1.3: fetch what is already posted for this request, so an update only posts the difference
+        // Lines flagged under the accounting_only policy count as posted, so they are not journalled twice,
+        // but are kept apart from the moved quantity as they never left stock
+        const postedIds = await fetchOdooIdsFromDynamo(item.request_id);
+        const postedStock = addUnpostedStock(await fetchPostedConsumption(item.related_to_id, postedIds.stock_move_ids), postedIds.unposted_stock);
+        const postedValue = postedStock.length && postingMode === "manual" ? await fetchPostedInventoryValue(postedJournalIds(postedIds)) : new Map();
+
+        // Step 4.1.4: Prepare Inventory data for posting under the insufficient stock policy
+        const preparedInventoryPosting = await prepareInventoryPosting(processedWorkOrder.material, odooStock, postedStock, postedValue);
+        const inventoryData = preparedInventoryPosting.filter(posting => posting.quantity !== 0);
+        const accountingData = {
+            ...processedWorkOrder,
+            material: preparedInventoryPosting
+                .filter(posting => journalQuantity(posting) !== 0)
+                .map(posting => ({
+                    materialCode: posting.materialCode,
+                    productId: posting.product_id,
+                    quantity: journalQuantity(posting),
+                    meanPrice: posting.meanPrice,
+                    odooCost: posting.odooCost
+                }))
+        };
+        const stockOutcomes = preparedInventoryPosting.filter(posting => posting.stockOutcome).map(posting => posting.stockOutcome);
+        const flaggedStock = preparedInventoryPosting
+            .filter(posting => posting.accountQuantity !== posting.quantity)
+            .map(posting => ({
+                product_id: posting.product_id,
+                location_id: posting.location_id,
+                material_code: posting.materialCode,
+                quantity: Number((posting.accountQuantity - posting.quantity).toFixed(10))
+            }));
+        const syncStatus = stockOutcomes.some(outcome => outcome.remainder > 0) ? "PARTIAL" : "POSTED";
+
+        // A PARTIAL request waiting for stock is polled again and again. Only a changed outcome is recorded
+        if (!inventoryData.length && !accountingData.material.length) {
+            console.log(`Request ${item.request_id} has nothing new to post to Odoo.`);
+            if (!isSameStockOutcomes(stockOutcomes, postedIds.stock_outcomes)) {
+                await saveStockOutcomes(item.request_id, stockOutcomes);
+            }
+            return { inventory: [], accounting: null, syncStatus, posted: false };
+        }
+
+        // Step 4.1.5: Post Inventory and Accounting data to Odoo
+        odooResponse = await postToOdoo(inventoryData, accountingData, orderType, item.state, item.request_id, buildPostingRef(item), postedIds);
+        await saveStockOutcomes(item.request_id, stockOutcomes, flaggedStock);
+        odooResponse.syncStatus = syncStatus;
+
+        // Step 4.1.6: keep the cached Odoo stock in step for the next request in this run
+        applyPostedQuantities(odooStock, inventoryData);
+    }
+    // Step 4.2.0: If state REVERSED process results
+    else {
+        // Step: 4.2.1: fetch stock_move_ids and account_move_ids from Dynamo
+        const postedIds = await fetchOdooIdsFromDynamo(item.request_id);
+
+        // Step: 4.2.2: prepared data for reversing
+        const preparedStock = await processStockReversal(item.related_to_id, postedIds.stock_move_ids);
+        const preparedJournal = await processJournalReversal(item.related_to_id, postedIds);
+        if (!preparedStock.length && !preparedJournal.journalIds.length) {
+            console.log(`Request ${item.request_id} has nothing posted in Odoo. Nothing to reverse.`);
+            return { inventory: [], accounting: null };
+        }
+
+        // Step 4.2.4: Post Inventory and Accounting data to Odoo
+        odooResponse = await postToOdoo(preparedStock, preparedJournal, orderType, item.state, item.request_id, buildPostingRef(item), postedIds);
     }
+
+    if (!odooResponse) {
+        console.log(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
+        throw new Error(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
+    }
+    return odooResponse;
+};
+
+
+// Quantity of a posting that needs a hand-built journal. In picking mode Odoo values the picked stock
+// itself, so only stock posted without a move is journalled
+const journalQuantity = (posting) => {
+    return postingMode === "picking" ? posting.accountQuantity - posting.quantity : posting.accountQuantity;
+};
+
+
+// Idempotency reference for one posting attempt of a request. Only a fully compensated failure starts a
+// new attempt, so its retry gets fresh keys instead of adopting the compensated records. Any other
+// failure keeps the keys, so records left behind by a timed out run are adopted
+const buildPostingRef = (item) => {
+    const phase = item.state === "REVERSED" ? "reversal" : `posting@${item.date_updated}`;
+    const remainder = item.partial_postings ? `/remainder-${item.partial_postings}` : '';
+    return `request/${item.request_id}/${phase}/attempt-${postingAttempt(item)}${remainder}`;
 };
 
 
-// Main function: Process requests and upsert as necessary
-const checkAndUpsertRequests = async (payloadRequest) => {
+// Items recorded before compensated_attempts was kept numbered their attempts by failed_attempts
+const postingAttempt = (item) => {
+    return item.compensated_attempts ?? item.failed_attempts ?? 0;
+};
+
+
+// Notify about a failed request. User lookup problems must not hide the original error
+const notifyRequestError = async (requestId, error) => {
+    let userDetails = {};
+    try {
+        userDetails = await getUserDetails(approvedBy);
+    } catch (lookupError) {
+        console.error('Error fetching user details for notification:', lookupError);
+    }
+    const emailContent = `Request ${requestId}: ${error.message}\n\nUser name: ${userDetails.name}\nUser email: ${userDetails.email}\nCompleted date: ${completedDate}`;
+    await notifyError(emailContent);
+};
+
+// Main function: Process requests changed since the last poll and upsert as necessary
+const checkAndUpsertRequests = async (payloadRequest, cancelledRequests) => {
     const results = [];
-    
-    // Extract request_ids from the payload for comparison
-    const payloadRequestIds = new Set(payloadRequest.map(request => String(request.attributes.request_id)));
+    const handledIds = new Set();
 
-    // Retrieve existing items from DynamoDB
-    const existingItems = await getAllRequestsFromDynamo();
+    // Retrieve only the DynamoDB items touched by this poll
+    const existingItems = await getRequestsFromDynamo(
+        [...payloadRequest, ...cancelledRequests].map(request => String(request.attributes.request_id))
+    );
 
     // Process each request in the payload
     for (const request of payloadRequest) {
         const { 
             request_id, 
-            type, 
-            related_to_type, 
             related_to_id, 
-            date_created, 
             date_updated: newDateUpdated, 
-            operator_id,
-            cost_center_odoo = '',
-            journal_move_id = '',
-            stock_move_ids = [],
         } = request.attributes;
 
         const requestId = String(request_id);
-        const existingItem = existingItems.find(item => item.request_id === requestId);
+        const existingItem = existingItems.get(requestId);
+        handledIds.add(requestId);
         
         if (!existingItem) {
             // Insert if item does not exist
             await insertRequestToDynamo(request.attributes);
-            results.push({
-                cost_center_odoo: cost_center_odoo,
-                journal_move_id: journal_move_id,
-                request_id: requestId,
-                related_to_id: related_to_id,
-                related_to_type: related_to_type,
-                stock_move_ids: [],
-                state: "COMPLETED",
-                upserted: "INSERTED"
-            });
+            results.push(completedResult(toDynamoItem(request.attributes), "INSERTED"));
             console.log(`Inserted new request: ${requestId}, related_to_id: ${related_to_id}, status: INSERTED`);
         } else {
-            // Reset `reversed` to false for items in the payload
+            // Reset `reversed` to false for items in the payload. Posting compares against what Odoo
+            // already holds, so it re-posts whatever the reversal took out and nothing more
             if (existingItem.reversed) {
-                await resetReversedFlag(requestId);
+                await resetReversedFlag(requestId, "PENDING");
+                existingItem.sync_status = "PENDING";
             }
 
             // Check for date updates
             const oldDateUpdated = existingItem.date_updated;
             if (oldDateUpdated !== newDateUpdated) {
                 await updateRequestInDynamo(requestId, request.attributes);
-
-                results.push({
-                    cost_center_odoo: cost_center_odoo || '',
-                    journal_move_id: journal_move_id || '',
-                    request_id: requestId,
-                    related_to_id: related_to_id,
-                    related_to_type: related_to_type,
-                    stock_move_ids: existingItem.stock_move_ids || [],
-                    state: "COMPLETED",
-                    upserted: "UPDATED"
-                });
+                results.push(completedResult({ ...existingItem, ...toDynamoItem(request.attributes) }, "UPDATED"));
                 console.log(`Updated request: ${requestId}, related_to_id: ${related_to_id}, status: COMPLETED`);
+            } else if (isAwaitingPosting(existingItem)) {
+                // Unchanged, but a previous run did not finish posting it
+                results.push(completedResult(existingItem, "RETRY"));
+                console.log(`Retrying request: ${requestId}, related_to_id: ${related_to_id}, last error: ${existingItem.last_error}`);
             }
         }
     }
 
-    // Mark items not in the payload as reversed
-    for (const item of existingItems) {
-        if (!payloadRequestIds.has(item.request_id) && !item.reversed) {
-            // Mark the item as reversed
-            await markAsReversed(item.request_id);
-            
-            results.push({
-                request_id: item.request_id,
-                related_to_id: item.related_to_id,
-                related_to_type: item.related_to_type,
-                state: "REVERSED"
-            });
-            console.log(`Reversed request: ${item.request_id}, related_to_id: ${item.related_to_id}`);
+    // Mark cancelled requests that were tracked as reversed
+    for (const request of cancelledRequests) {
+        const item = existingItems.get(String(request.attributes.request_id));
+        if (!item || item.reversed || handledIds.has(item.request_id)) {
+            continue;
+        }
+        handledIds.add(item.request_id);
+
+        // Nothing was posted to Odoo, so there is nothing to reverse
+        if (!isPostedInOdoo(item)) {
+            await markAsReversed(item.request_id, "POSTED");
+            console.log(`Reversed request: ${item.request_id}, related_to_id: ${item.related_to_id}. Nothing posted to Odoo`);
+            continue;
+        }
+        await markAsReversed(item.request_id, "PENDING");
+        results.push(reversedResult(item));
+        console.log(`Reversed request: ${item.request_id}, related_to_id: ${item.related_to_id}`);
+    }
+
+    // Retry items a previous run did not finish posting
+    const awaitingItems = await getRequestsAwaitingPostingFromDynamo();
+    for (const item of awaitingItems) {
+        if (handledIds.has(item.request_id)) {
+            continue;
         }
+        results.push(item.reversed ? reversedResult(item) : completedResult(item, "RETRY"));
+        console.log(`Retrying request: ${item.request_id}, related_to_id: ${item.related_to_id}, last error: ${item.last_error}`);
     }
+
     return results.length > 0 ? results : null;
 };
 
 
-// Helper: Get all items from DynamoDB
-const getAllRequestsFromDynamo = async () => {
+// Helper: Work item for a completed request
+const completedResult = (item, upserted) => ({
+    cost_center_odoo: item.cost_center_odoo || '',
+    journal_move_id: '',
+    request_id: item.request_id,
+    related_to_id: item.related_to_id,
+    related_to_type: item.related_to_type,
+    stock_move_ids: item.stock_move_ids || [],
+    date_updated: item.date_updated,
+    failed_attempts: item.failed_attempts || 0,
+    compensated_attempts: item.compensated_attempts,
+    partial_postings: item.partial_postings || 0,
+    state: "COMPLETED",
+    upserted
+});
+
+
+// Helper: Work item for a reversed request
+const reversedResult = (item) => ({
+    request_id: item.request_id,
+    related_to_id: item.related_to_id,
+    related_to_type: item.related_to_type,
+    failed_attempts: item.failed_attempts || 0,
+    compensated_attempts: item.compensated_attempts,
+    state: "REVERSED"
+});
+
+
+// Helper: Whether anything of the request stands in Odoo. A picking of products without automated
+// valuation moves stock but books no journal
+const isPostedInOdoo = (item) => {
+    return Boolean(item.account_move_id || item.stock_move_ids?.length);
+};
+
+
+// Helper: Items inserted, updated or reversed but not yet confirmed in Odoo, and PARTIAL items with
+// stock still to post. Items without a sync_status predate status tracking and are treated as posted
+const isAwaitingPosting = (item) => {
+    return item.sync_status === "PENDING" || item.sync_status === "FAILED" || item.sync_status === "PARTIAL";
+};
+
+
+// Helper: Get items by request_id from DynamoDB, 100 keys per batch
+const getRequestsFromDynamo = async (requestIds) => {
+    const items = new Map();
+    const uniqueIds = [...new Set(requestIds)];
+
+    for (let index = 0; index < uniqueIds.length; index += 100) {
+        let keys = uniqueIds.slice(index, index + 100).map(requestId => ({ request_id: requestId }));
+        while (keys && keys.length) {
+            const { Responses, UnprocessedKeys } = await dynamoDb.send(new BatchGetCommand({
+                RequestItems: { [tableName]: { Keys: keys } }
+            }));
+            (Responses?.[tableName] || []).forEach(item => items.set(item.request_id, item));
+            keys = UnprocessedKeys?.[tableName]?.Keys;
+        }
+    }
+    return items;
+};
+
+
+// Helper: Get items a previous run did not finish posting
+const getRequestsAwaitingPostingFromDynamo = async () => {
+    const [pendingItems, failedItems, partialItems] = await Promise.all([
+        getRequestsBySyncStatus("PENDING"),
+        getRequestsBySyncStatus("FAILED"),
+        getRequestsBySyncStatus("PARTIAL")
+    ]);
+    return pendingItems.concat(failedItems, partialItems);
+};
+
+
+// Helper: Get all items with the given sync_status
+const getRequestsBySyncStatus = async (syncStatus) => {
+    const queryParams = {
+        TableName: tableName,
+        IndexName: SYNC_STATUS_INDEX,
+        KeyConditionExpression: "#sync_status = :sync_status",
+        ExpressionAttributeNames: {
+            "#sync_status": "sync_status"
+        },
+        ExpressionAttributeValues: {
+            ":sync_status": syncStatus
+        }
+    };
+    return await fetchAllPagesDynamo(QueryCommand, queryParams);
+};
+
+
+// Helper: Get all requests for a work order or failure
+const getRequestsByRelatedToId = async (relatedToId) => {
+    const queryParams = {
+        TableName: tableName,
+        IndexName: RELATED_TO_INDEX,
+        KeyConditionExpression: "#related_to_id = :related_to_id",
+        ExpressionAttributeNames: {
+            "#related_to_id": "related_to_id"
+        },
+        ExpressionAttributeValues: {
+            ":related_to_id": String(relatedToId)
+        }
+    };
+    return await fetchAllPagesDynamo(QueryCommand, queryParams);
+};
+
+
+// Helper: Get all reversed requests
+const getReversedRequestsFromDynamo = async () => {
+    const queryParams = {
+        TableName: tableName,
+        IndexName: REVERSED_INDEX,
+        KeyConditionExpression: "#reversed_state = :reversed_state",
+        ExpressionAttributeNames: {
+            "#reversed_state": "reversed_state"
+        },
+        ExpressionAttributeValues: {
+            ":reversed_state": "REVERSED"
+        }
+    };
+    return await fetchAllPagesDynamo(QueryCommand, queryParams);
+};
+
+
+// Helper: Get all requests whose work order failed to be reclassified
+const getRequestsFailedReclassification = async () => {
+    const queryParams = {
+        TableName: tableName,
+        IndexName: RECLASSIFICATION_INDEX,
+        KeyConditionExpression: "#reclassification_status = :reclassification_status",
+        ExpressionAttributeNames: {
+            "#reclassification_status": "reclassification_status"
+        },
+        ExpressionAttributeValues: {
+            ":reclassification_status": "FAILED"
+        }
+    };
+    return await fetchAllPagesDynamo(QueryCommand, queryParams);
+};
+
+
+// Helper: Set reversed_state on reversed items recorded before it was kept. A one-off full scan
+const backfillReversedState = async () => {
     const scanParams = {
         TableName: tableName,
+        FilterExpression: "#reversed = :reversed AND attribute_not_exists(#reversed_state)",
+        ExpressionAttributeNames: {
+            "#reversed": "reversed",
+            "#reversed_state": "reversed_state"
+        },
+        ExpressionAttributeValues: {
+            ":reversed": true
+        }
+    };
+    const items = await fetchAllPagesDynamo(ScanCommand, scanParams);
+    for (const item of items) {
+        await dynamoDb.send(new UpdateCommand({
+            TableName: tableName,
+            Key: { request_id: item.request_id },
+            UpdateExpression: "SET #reversed_state = :reversed_state",
+            ConditionExpression: "#reversed = :reversed",
+            ExpressionAttributeNames: {
+                "#reversed": "reversed",
+                "#reversed_state": "reversed_state"
+            },
+            ExpressionAttributeValues: {
+                ":reversed": true,
+                ":reversed_state": "REVERSED"
+            }
+        }));
+    }
+    console.log(`Backfilled reversed_state on ${items.length} request(s)`);
+    return items.length;
+};
+
+
+// Helper: Run a Scan or Query until LastEvaluatedKey is exhausted, so no page over 1 MB is dropped
+const fetchAllPagesDynamo = async (Command, params) => {
+    let allItems = [];
+    let exclusiveStartKey;
+
+    do {
+        const { Items, LastEvaluatedKey } = await dynamoDb.send(new Command({
+            ...params,
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        allItems = allItems.concat(Items || []);
+        exclusiveStartKey = LastEvaluatedKey;
+    } while (exclusiveStartKey);
+
+    return allItems;
+};
+
+
+// Helper: Get the date_updated high-water mark of the last poll
+const getSyncCursor = async (cursorId = SYNC_CURSOR_ID) => {
+    const params = {
+        TableName: configTableName,
+        Key: { config_id: cursorId }
+    };
+    const { Item } = await dynamoDb.send(new GetCommand(params));
+    return Item?.date_updated || null;
+};
+
+
+// Helper: Save the newest date_updated seen, never moving the cursor backwards
+const saveSyncCursor = async (cursor, requests, cursorId = SYNC_CURSOR_ID) => {
+    const newest = requests
+        .map(request => request.attributes.date_updated)
+        .filter(Boolean)
+        .reduce((latest, date) => (!latest || Date.parse(date) > Date.parse(latest) ? date : latest), cursor);
+
+    if (!newest || newest === cursor) {
+        return;
+    }
+    const params = {
+        TableName: configTableName,
+        Item: { config_id: cursorId, date_updated: newest }
+    };
+    await dynamoDb.send(new PutCommand(params));
+    console.log(`Sync cursor ${cursorId} moved to ${newest}`);
+};
+
+
+// Helper: DynamoDB item for an Infraspeak request
+const toDynamoItem = (attributes) => {
+    const { request_id, type, related_to_type, related_to_id, date_created, date_updated, operator_id } = attributes;
+    return {
+        request_id: String(request_id),
+        type,
+        related_to_type,
+        related_to_id: String(related_to_id),
+        state: "COMPLETED",
+        date_created,
+        date_updated,
+        operator_id: String(operator_id),
+        reversed: false,
+        sync_status: "PENDING",
     };
-    const { Items } = await dynamoDb.send(new ScanCommand(scanParams));
-    return Items;
 };
 
 
 // Helper: Insert a new item into DynamoDB
 const insertRequestToDynamo = async (attributes) => {
-    const { request_id, type, related_to_type, related_to_id, date_created, date_updated, operator_id } = attributes;
     const putParams = {
         TableName: tableName,
-        Item: {
-            request_id: String(request_id),
-            type,
-            related_to_type,
-            related_to_id: String(related_to_id),
-            state: "COMPLETED",
-            date_created,
-            date_updated,
-            operator_id: String(operator_id),
-            reversed: false,
-        }
+        Item: toDynamoItem(attributes)
     };
     await dynamoDb.send(new PutCommand(putParams));
 };
@@ -275,7 +804,7 @@ const updateRequestInDynamo = async (requestId, attributes) => {
     const updateParams = {
         TableName: tableName,
         Key: { request_id: requestId },
-        UpdateExpression: "SET #type = :type, #related_to_type = :related_to_type, #related_to_id = :related_to_id, #state = :state, #date_created = :date_created, #date_updated = :date_updated, #operator_id = :operator_id, #reversed = :reversed",
+        UpdateExpression: "SET #type = :type, #related_to_type = :related_to_type, #related_to_id = :related_to_id, #state = :state, #date_created = :date_created, #date_updated = :date_updated, #operator_id = :operator_id, #reversed = :reversed, #sync_status = :sync_status",
         ExpressionAttributeNames: {
             "#type": "type",
             "#related_to_type": "related_to_type",
@@ -284,7 +813,8 @@ const updateRequestInDynamo = async (requestId, attributes) => {
             "#date_created": "date_created",
             "#date_updated": "date_updated",
             "#operator_id": "operator_id",
-            "#reversed": "reversed"
+            "#reversed": "reversed",
+            "#sync_status": "sync_status"
         },
         ExpressionAttributeValues: {
             ":type": type,
@@ -294,24 +824,39 @@ const updateRequestInDynamo = async (requestId, attributes) => {
             ":date_created": date_created,
             ":date_updated": date_updated,
             ":operator_id": String(operator_id),
-            ":reversed": false
+            ":reversed": false,
+            ":sync_status": "PENDING"
         }
     };
     await dynamoDb.send(new UpdateCommand(updateParams));
 };
 
 
+// Helper: Stop tracking a request
+const deleteRequestFromDynamo = async (requestId) => {
+    const deleteParams = {
+        TableName: tableName,
+        Key: { request_id: requestId }
+    };
+    await dynamoDb.send(new DeleteCommand(deleteParams));
+};
+
+
 // Helper: Mark an item as reversed
-const markAsReversed = async (requestId) => {
+const markAsReversed = async (requestId, syncStatus) => {
     const updateParams = {
         TableName: tableName,
         Key: { request_id: requestId },
-        UpdateExpression: "SET #reversed = :reversed",
+        UpdateExpression: "SET #reversed = :reversed, #reversed_state = :reversed_state, #sync_status = :sync_status",
         ExpressionAttributeNames: {
-            "#reversed": "reversed"
+            "#reversed": "reversed",
+            "#reversed_state": "reversed_state",
+            "#sync_status": "sync_status"
         },
         ExpressionAttributeValues: {
-            ":reversed": true
+            ":reversed": true,
+            ":reversed_state": "REVERSED",
+            ":sync_status": syncStatus
         }
     };
     await dynamoDb.send(new UpdateCommand(updateParams));
@@ -319,37 +864,158 @@ const markAsReversed = async (requestId) => {
 
 
 // Helper: Reset the reversed flag
-const resetReversedFlag = async (requestId) => {
+const resetReversedFlag = async (requestId, syncStatus) => {
+    const updateParams = {
+        TableName: tableName,
+        Key: { request_id: requestId },
+        UpdateExpression: "SET #reversed = :reversed, #sync_status = :sync_status REMOVE #reversed_state",
+        ExpressionAttributeNames: {
+            "#reversed": "reversed",
+            "#reversed_state": "reversed_state",
+            "#sync_status": "sync_status"
+        },
+        ExpressionAttributeValues: {
+            ":reversed": false,
+            ":sync_status": syncStatus
+        }
+    };
+    await dynamoDb.send(new UpdateCommand(updateParams));
+};
+
+
+// Helper: Record that a request is in sync with Odoo. A PARTIAL posting is counted, so posting the
+// remainder uses fresh idempotency keys. A run that posted nothing keeps the keys it had
+const markRequestPosted = async (requestId, syncStatus = "POSTED", posted = true) => {
+    const countPosting = syncStatus === "PARTIAL" && posted;
     const updateParams = {
         TableName: tableName,
         Key: { request_id: requestId },
-        UpdateExpression: "SET #reversed = :reversed",
+        UpdateExpression: countPosting
+            ? "SET #sync_status = :sync_status ADD #partial_postings :one REMOVE #last_error"
+            : "SET #sync_status = :sync_status REMOVE #last_error",
         ExpressionAttributeNames: {
-            "#reversed": "reversed"
+            "#sync_status": "sync_status",
+            "#last_error": "last_error",
+            ...(countPosting && { "#partial_postings": "partial_postings" })
         },
         ExpressionAttributeValues: {
-            ":reversed": false
+            ":sync_status": syncStatus,
+            ...(countPosting && { ":one": 1 })
         }
     };
     await dynamoDb.send(new UpdateCommand(updateParams));
 };
 
 
-// Process stock reversal, fetching result IDs and then calling fetchStockMovementOdoo
-const processStockReversal = async (orderId, requestId, resultIds) => {
+// Helper: Record insufficient stock outcomes on the request. Changes to the stock journalled without a move
+// are kept in unposted_stock until the request is reversed: flagged lines count positive, reductions taken
+// off them negative
+const saveStockOutcomes = async (requestId, stockOutcomes, unpostedStock = []) => {
+    if (!stockOutcomes.length && !unpostedStock.length) {
+        return;
+    }
+
+    const updateParams = {
+        TableName: tableName,
+        Key: { request_id: requestId },
+        UpdateExpression: "SET #stock_outcomes = list_append(if_not_exists(#stock_outcomes, :empty), :stock_outcomes), #unposted_stock = list_append(if_not_exists(#unposted_stock, :empty), :unposted_stock)",
+        ExpressionAttributeNames: {
+            "#stock_outcomes": "stock_outcomes",
+            "#unposted_stock": "unposted_stock"
+        },
+        ExpressionAttributeValues: {
+            ":stock_outcomes": stockOutcomes,
+            ":unposted_stock": unpostedStock,
+            ":empty": []
+        }
+    };
     try {
-        const stockResponse = await fetchStockMovementOdoo(orderId, resultIds);
- 
-        // Process the response to create stock reversals
-        const stockReversals = stockResponse?.result?.map(item => ({
-            product_id: item.product_id?.[0] || null,
-            location_id: item.location_id?.[0] || null,
-            location_dest_id: item.location_dest_id?.[0] || null,
-            quantity: item.quantity || 0,
-            work_order_id: item.x_work_order_id || 0
-        })) || [];
-        
-        return stockReversals;
+        await dynamoDb.send(new UpdateCommand(updateParams));
+        console.log(`Recorded ${stockOutcomes.length} insufficient stock outcome(s) for request ${requestId}`);
+    } catch (error) {
+        console.error(`Error saving stock outcomes for request ${requestId}:`, error);
+    }
+};
+
+
+// Helper: Whether the outcomes are those last recorded for each of their product and location
+const isSameStockOutcomes = (stockOutcomes, recordedOutcomes) => {
+    const describe = ({ policy, requested, available, stock_posted, account_posted, remainder }) =>
+        JSON.stringify({ policy, requested, available, stock_posted, account_posted, remainder });
+    const lastRecorded = new Map(recordedOutcomes.map(outcome => [`${outcome.product_id}-${outcome.location_id}`, outcome]));
+    return stockOutcomes.every(outcome => {
+        const recorded = lastRecorded.get(`${outcome.product_id}-${outcome.location_id}`);
+        return recorded && describe(recorded) === describe(outcome);
+    });
+};
+
+
+// Helper: Record a failed attempt. FAILED requests are retried on the next poll, while
+// COMPENSATION_FAILED requests left partial postings in Odoo and wait for manual correction.
+// compensatedAttempts numbers the idempotency keys of the retry, see buildPostingRef
+const markRequestFailed = async (requestId, errorMessage, syncStatus = "FAILED", compensatedAttempts = 0) => {
+    const updateParams = {
+        TableName: tableName,
+        Key: { request_id: requestId },
+        UpdateExpression: "SET #sync_status = :sync_status, #last_error = :last_error, #failed_attempts = if_not_exists(#failed_attempts, :zero) + :one, #compensated_attempts = :compensated_attempts",
+        ExpressionAttributeNames: {
+            "#sync_status": "sync_status",
+            "#last_error": "last_error",
+            "#failed_attempts": "failed_attempts",
+            "#compensated_attempts": "compensated_attempts"
+        },
+        ExpressionAttributeValues: {
+            ":sync_status": syncStatus,
+            ":last_error": errorMessage,
+            ":zero": 0,
+            ":one": 1,
+            ":compensated_attempts": compensatedAttempts
+        }
+    };
+    try {
+        await dynamoDb.send(new UpdateCommand(updateParams));
+    } catch (error) {
+        console.error(`Error marking request ${requestId} as failed:`, error);
+    }
+};
+
+
+// Process stock reversal: one return per posted move for the quantity not yet returned. Each return
+// references its original move through origin_returned_move_id
+const processStockReversal = async (orderId, stockMoveIds) => {
+    if (!stockMoveIds.length) {
+        return [];
+    }
+    try {
+        const stockResponse = await fetchStockMovementOdoo(orderId, stockMoveIds);
+        const moves = stockResponse?.result || [];
+
+        // Only returns recorded on the request count. Compensated returns were never recorded
+        const returnedQuantities = moves
+            .filter(move => move.origin_returned_move_id)
+            .reduce((acc, move) => {
+                const originId = move.origin_returned_move_id[0];
+                acc[originId] = (acc[originId] || 0) + move.quantity;
+                return acc;
+            }, {});
+
+        return moves
+            .filter(move => !move.origin_returned_move_id)
+            .map(move => {
+                // A move into stock gave material back, so its return consumes it again
+                const givenBack = move.location_dest_usage === "internal";
+                const remaining = move.quantity - (returnedQuantities[move.id] || 0);
+                return {
+                    product_id: move.product_id?.[0] || null,
+                    location_id: givenBack ? move.location_dest_id?.[0] : move.location_id?.[0],
+                    consumption_location_id: givenBack ? move.location_id?.[0] : move.location_dest_id?.[0],
+                    quantity: givenBack ? -remaining : remaining,
+                    work_order_id: move.x_work_order_id || 0,
+                    origin_move_id: move.id,
+                    picking: Boolean(move.picking_id)
+                };
+            })
+            .filter(reversal => reversal.quantity !== 0);
 
     } catch (error) {
         console.error('Error processing stock reversal:', error);
@@ -358,12 +1024,63 @@ const processStockReversal = async (orderId, requestId, resultIds) => {
 };
 
 
+// Net quantity consumed per product and location by the stock moves posted for a request.
+// Moves into stock gave material back and count negative
+const fetchPostedConsumption = async (orderId, stockMoveIds) => {
+    if (!stockMoveIds.length) {
+        return [];
+    }
+    const stockResponse = await fetchStockMovementOdoo(orderId, stockMoveIds);
+    const consumption = new Map();
+
+    (stockResponse?.result || []).forEach(move => {
+        const returned = move.location_dest_usage === "internal";
+        const productId = move.product_id?.[0];
+        const locationId = returned ? move.location_dest_id?.[0] : move.location_id?.[0];
+        const key = `${productId}-${locationId}`;
+
+        if (!consumption.has(key)) {
+            consumption.set(key, {
+                product_id: productId,
+                location_id: locationId,
+                materialCode: move.product_id?.[1]?.match(/\[(.*?)\]/)?.[1] || String(productId),
+                quantity: 0,
+                work_order_id: move.x_work_order_id
+            });
+        }
+        consumption.get(key).quantity += returned ? -move.quantity : move.quantity;
+    });
+    return [...consumption.values()];
+};
+
+
+// Add stock flagged under the accounting_only policy to the posted consumption. quantity is the total
+// journalled, flagged the part of it that was never moved
+const addUnpostedStock = (postedStock, unpostedStock) => {
+    unpostedStock.forEach(unposted => {
+        let posted = postedStock.find(stock => stock.product_id === unposted.product_id && stock.location_id === unposted.location_id);
+        if (!posted) {
+            posted = {
+                product_id: unposted.product_id,
+                location_id: unposted.location_id,
+                materialCode: unposted.material_code,
+                quantity: 0
+            };
+            postedStock.push(posted);
+        }
+        posted.quantity += unposted.quantity;
+        posted.flagged = (posted.flagged || 0) + unposted.quantity;
+    });
+    return postedStock;
+};
+
+
 // Function to fetch result IDs from DynamoDB based on workOrderId
 const fetchOdooIdsFromDynamo = async (requestId) => {
     const params = {
         TableName: tableName,
         Key: { request_id: requestId },
-        ProjectionExpression: 'stock_move_ids, account_move_id, cost_center_odoo'
+        ProjectionExpression: 'stock_move_ids, account_move_id, account_move_ids, cost_center_odoo, unposted_stock, stock_outcomes'
     };
 
     try {
@@ -371,7 +1088,10 @@ const fetchOdooIdsFromDynamo = async (requestId) => {
         return {
             stock_move_ids: data.Item?.stock_move_ids || [],
             account_move_id: data.Item?.account_move_id || null,
-            cost_center_odoo: data.Item?.cost_center_odoo || null
+            account_move_ids: data.Item?.account_move_ids || [],
+            cost_center_odoo: data.Item?.cost_center_odoo || null,
+            unposted_stock: data.Item?.unposted_stock || [],
+            stock_outcomes: data.Item?.stock_outcomes || []
         };
     } catch (error) {
         console.error('Error fetching result IDs from DynamoDB:', error);
@@ -380,81 +1100,71 @@ const fetchOdooIdsFromDynamo = async (requestId) => {
 };
 
 
-// Fetch required data from Odoo Accounting for reversal
-const processJournalReversal = async (orderId, accountMoveId, costCenterOdoo) => {
-    try {
-        const accountResponse = await fetchAccountMovementOdoo(orderId, accountMoveId);
-        let materials = [];
+// Every journal posted for a request. Items posted before account_move_ids existed only have account_move_id
+const postedJournalIds = (postedIds) => {
+    return postedIds.account_move_ids.length ? postedIds.account_move_ids : [postedIds.account_move_id].filter(Boolean);
+};
 
-        materials.push({
-            workOrderId: orderId,
-            meanPrice: accountResponse.amount_total
-        });
-        
-        const result = {
-            workOrderId: orderId,
-            costCenter: costCenterOdoo,
-            material: materials.slice(0, 1)
-        };
 
-        return result;
-    }catch (error){
-        console.error('Error processing journal reversal:', error);
-        throw new Error(`Failed to process journal reversal for order ${orderId}`);
-    }
+// Fetch required data from Odoo Accounting for reversal: the hand-built journals posted for the request.
+// Valuation journals of pickings are reversed by Odoo when their stock is returned
+const processJournalReversal = async (orderId, postedIds) => {
+    const journalIds = postedJournalIds(postedIds);
+    const valuationJournals = journalIds.length ? await searchAccountMoves([["id", "in", journalIds], ["stock_move_id", "!=", false]]) : [];
+    const valuationIds = new Set(valuationJournals.map(move => move.id));
+    return {
+        workOrderId: orderId,
+        costCenter: postedIds.cost_center_odoo,
+        journalIds: journalIds.filter(id => !valuationIds.has(id))
+    };
 };
 
 
 // Function to process Infraspeak data and return list of stock movement
-const processWorkOrder = async (infraspeakData, costCenters, workOrderId, orderType, upserted, requestId) => {
+const processWorkOrder = async (infraspeakData, costCenters, workOrderId, orderType, upserted) => {
 
     if (!infraspeakData || !infraspeakData.data || !infraspeakData.included) {
         throw new Error('Invalid response structure from Infraspeak API.');
     }
 
-    const { cost_center_id: costCenterId = null, cost_center_name: costCenterName = null } = infraspeakData.data.attributes;
-    let costCenterCode;
-
-    if (costCenterId) {
-        const result = costCenters.find(costCenter => costCenter.id === costCenterId.toString());
-        costCenterCode = result?.code;
-    }
-
-    if (costCenterName && !costCenterCode) {
-        const result = costCenters.find(costCenter => costCenter.name === costCenterName);
-        costCenterCode = result?.code;
-    }
-
-    const costCenter = await getOdooCostCenterId(costCenterCode);
-    const costCenterResponse = await saveCostCenterToDynamo(requestId, costCenter);
+    const infraspeakCostCenter = findInfraspeakCostCenter(infraspeakData.data.attributes, costCenters);
+    const { accountId: costCenter, analyticDistribution } = await resolveOdooCostCenter(infraspeakCostCenter, 'material');
 
     // Separate materials and aggregate stock quantities by material_id
     const materials = infraspeakData.included.filter(({ type }) => type === 'material');
     
-    // Create a map to aggregate stocks by material_id
+    // Create a map to aggregate stocks by material_id and the warehouse they were drawn from
     const stockMap = infraspeakData.included
         .filter(({ type }) => type === 'stock')
         .reduce((acc, stock) => {
             const materialId = stock.attributes.material_id;
+            const warehouseId = stock.attributes.warehouse_id;
             const quantity = stock.attributes.quantity || 0;
 
             if (!acc[materialId]) {
-                acc[materialId] = { totalQuantity: 0, meanPrice: stock.attributes.mean_price };
+                acc[materialId] = {};
+            }
+            if (!acc[materialId][warehouseId]) {
+                acc[materialId][warehouseId] = { warehouseId, totalQuantity: 0, meanPrice: stock.attributes.mean_price };
             }
-            acc[materialId].totalQuantity += quantity;
+            acc[materialId][warehouseId].totalQuantity += quantity;
             return acc;
         }, {});
 
     try {
-        const materialData = materials.map((material) => {
+        const materialData = materials.flatMap((material) => {
        
             const materialId = material?.attributes?.material_id;
             if (!materialId) {
                 console.warn(`Material ID missing or invalid for work order ${workOrderId}`);
-                return null;  // Skip this material if ID is invalid
+                return [];  // Skip this material if ID is invalid
             }
 
-            const stock = stockMap[materialId] || { totalQuantity: 0, meanPrice: material.attributes.mean_price };
+            const stocks = Object.values(stockMap[materialId] || {});
+            if (!stocks.length) {
+                console.warn(`No stock consumed for material ${materialId} on work order ${workOrderId}`);
+                return [];
+            }
 
             const materialCode = material?.attributes?.code;
             if (!materialCode) {
@@ -471,19 +1181,24 @@ const processWorkOrder = async (infraspeakData, costCenters, workOrderId, orderT
                 throw new Error('Folder code is missing or invalid');
             }
 
-            return {
+            const unit = material?.attributes?.units;
+
+            return stocks.map(stock => ({
                 workOrderId,
                 materialId,
                 materialCode,
                 folderCode,
+                unit,
+                warehouseId: stock.warehouseId,
                 quantity: stock.totalQuantity,
                 meanPrice: stock.meanPrice
-            };
-        }).filter(Boolean);  // Filter out any null entries
+            }));
+        });
 
         return {
             workOrderId,
             costCenter,
+            analyticDistribution,
             material: materialData
         };
     } catch (error) {
@@ -493,16 +1208,170 @@ const processWorkOrder = async (infraspeakData, costCenters, workOrderId, orderT
 };
 
 
-// save cost center id from odoo to dynamo
-const saveCostCenterToDynamo = async (requestId, costCenter) => {
+// Move what the posted requests of a work order booked on their recorded cost center to the work order's
+// current one, one reclassification journal per request. Reversed requests have nothing left standing
+const reclassifyWorkOrderRequests = async (workOrderId, processedWorkOrder, orderType) => {
+    const current = { accountId: processedWorkOrder.costCenter, analyticDistribution: processedWorkOrder.analyticDistribution || null };
+    const requests = await getRequestsByRelatedToId(workOrderId);
+
+    for (const request of requests) {
+        if (request.reversed || !request.cost_center_odoo) {
+            continue;
+        }
+        const previous = { accountId: request.cost_center_odoo, analyticDistribution: request.cost_center_analytic || null };
+        if (isSameCostCenter(previous, current)) {
+            continue;
+        }
+
+        const postedIds = await fetchOdooIdsFromDynamo(request.request_id);
+        const history = request.cost_center_history || [];
+        const reclassificationId = await postCostCenterReclassification({
+            journalIds: postedJournalIds(postedIds),
+            from: previous,
+            to: current,
+            journalId: odooMapping.inventoryJournal,
+            workOrderId: workOrderId,
+            ref: `${orderType} ${workOrderId} - Cost center reclassification`,
+            idempotencyKey: `request/${request.request_id}/reclassification-${history.length + 1}`
+        });
+
+        // The reclassification is one of the request's journals, so a reversal also reverses it
+        if (reclassificationId) {
+            await saveInventoryResponseToDynamo(request.request_id, postedIds, [], [reclassificationId]);
+        }
+        await saveCostCenterToDynamo(request.request_id, processedWorkOrder, {
+            from_account: previous.accountId,
+            from_analytic: previous.analyticDistribution,
+            to_account: current.accountId,
+            to_analytic: current.analyticDistribution,
+            account_move_id: reclassificationId,
+            changed_at: new Date().toISOString()
+        });
+        console.log(`Request ${request.request_id} moved from cost center ${previous.accountId} to ${current.accountId}`);
+    }
+};
+
+
+// Reclassify the posted requests of the failures and scheduled works updated since the last work order
+// poll, and retry the orders whose reclassification failed before. The first poll starts the cursor now,
+// as earlier changes reach Odoo when their requests are polled. A failure is recorded on the order's
+// requests and the cursor moves on regardless. Only a new failure is notified, and reclassification is
+// keyed per change, so a retried order is not reclassified twice
+const reclassifyUpdatedOrders = async () => {
+    const cursor = await getSyncCursor(ORDER_SYNC_CURSOR_ID);
+    if (!cursor) {
+        await saveSyncCursor(null, [{ attributes: { date_updated: new Date().toISOString() } }], ORDER_SYNC_CURSOR_ID);
+        return;
+    }
+    const [failures, scheduledWorks, failedRequests] = await Promise.all([
+        getInfraspeakPages('failures', cursor),
+        getInfraspeakPages('works/scheduled', cursor),
+        getRequestsFailedReclassification()
+    ]);
+
+    // Orders by type and ID. A retried order that was not updated again is fetched from Infraspeak
+    const orders = new Map();
+    failures.forEach(order => orders.set(`Work Order-${order.id}`, { orderId: String(order.id), orderType: "Work Order", attributes: order.attributes }));
+    scheduledWorks.forEach(order => orders.set(`Planned Order-${order.id}`, { orderId: String(order.id), orderType: "Planned Order", attributes: order.attributes }));
+    failedRequests.forEach(request => {
+        const orderType = request.related_to_type === "FAILURE" ? "Work Order" : "Planned Order";
+        const key = `${orderType}-${request.related_to_id}`;
+        if (!orders.has(key)) {
+            orders.set(key, { orderId: String(request.related_to_id), orderType, attributes: null });
+        }
+    });
+
+    let costCenters;
+    const errors = [];
+    for (const { orderId, orderType, attributes } of orders.values()) {
+        let requests = [];
+        try {
+            requests = (await getRequestsByRelatedToId(orderId)).filter(request => !request.reversed && request.cost_center_odoo);
+            if (!requests.length) {
+                continue;
+            }
+            costCenters = costCenters || await getInfraspeakCostCenters();
+            const orderAttributes = attributes || (await getInfraspeakData(orderId, orderType)).data.attributes;
+            const infraspeakCostCenter = findInfraspeakCostCenter(orderAttributes, costCenters);
+            const { accountId, analyticDistribution } = await resolveOdooCostCenter(infraspeakCostCenter, 'material');
+            await reclassifyWorkOrderRequests(orderId, { costCenter: accountId, analyticDistribution }, orderType);
+            await markOrderReclassified(requests);
+        } catch (error) {
+            console.error(`Error reclassifying ${orderType} ${orderId}:`, error);
+            const alreadyFailed = requests.length && requests.every(request => request.reclassification_status === "FAILED");
+            await markOrderReclassificationFailed(requests, error.message);
+            if (!alreadyFailed) {
+                errors.push(`${orderType} ${orderId}: ${error.message}`);
+            }
+        }
+    }
+
+    await saveSyncCursor(cursor, [...failures, ...scheduledWorks], ORDER_SYNC_CURSOR_ID);
+    if (errors.length) {
+        await notifyError(`Cost center reclassification failed, retried on the next polls:\n${errors.join('\n')}`);
+    }
+};
+
+
+// Helper: Clear a reclassification failure from the requests of a work order
+const markOrderReclassified = async (requests) => {
+    for (const request of requests.filter(request => request.reclassification_status)) {
+        const updateParams = {
+            TableName: tableName,
+            Key: { request_id: request.request_id },
+            UpdateExpression: "REMOVE #reclassification_status, #reclassification_error",
+            ExpressionAttributeNames: {
+                "#reclassification_status": "reclassification_status",
+                "#reclassification_error": "reclassification_error"
+            }
+        };
+        await dynamoDb.send(new UpdateCommand(updateParams));
+    }
+};
+
+
+// Helper: Record a failed reclassification on the requests of a work order, so the next poll retries it
+const markOrderReclassificationFailed = async (requests, errorMessage) => {
+    for (const request of requests) {
+        const updateParams = {
+            TableName: tableName,
+            Key: { request_id: request.request_id },
+            UpdateExpression: "SET #reclassification_status = :failed, #reclassification_error = :error, #reclassification_attempts = if_not_exists(#reclassification_attempts, :zero) + :one",
+            ExpressionAttributeNames: {
+                "#reclassification_status": "reclassification_status",
+                "#reclassification_error": "reclassification_error",
+                "#reclassification_attempts": "reclassification_attempts"
+            },
+            ExpressionAttributeValues: {
+                ":failed": "FAILED",
+                ":error": errorMessage,
+                ":zero": 0,
+                ":one": 1
+            }
+        };
+        try {
+            await dynamoDb.send(new UpdateCommand(updateParams));
+        } catch (error) {
+            console.error(`Error recording the failed reclassification of request ${request.request_id}:`, error);
+        }
+    }
+};
+
+
+// save cost center id and analytic distribution from odoo to dynamo. A cost center change is appended
+// to the request's cost_center_history
+const saveCostCenterToDynamo = async (requestId, processedWorkOrder, change = null) => {
     const params = {
         TableName: tableName,
         Key: {
             request_id: requestId
         },
-        UpdateExpression: 'SET cost_center_odoo = :costCenter',
+        UpdateExpression: 'SET cost_center_odoo = :costCenter, cost_center_analytic = :analytic'
+            + (change ? ', cost_center_history = list_append(if_not_exists(cost_center_history, :empty), :change)' : ''),
         ExpressionAttributeValues: {
-            ':costCenter': costCenter
+            ':costCenter': processedWorkOrder.costCenter,
+            ':analytic': processedWorkOrder.analyticDistribution || null,
+            ...(change && { ':empty': [], ':change': [change] })
         }
     };
     try {
@@ -510,15 +1379,19 @@ const saveCostCenterToDynamo = async (requestId, costCenter) => {
         console.log(`Successfully saved cost center to DynamoDB for request ID: ${requestId}`);
     } catch (error) {
         console.error('Error saving cost center to DynamoDB:', error);
+        throw new Error(`Error saving cost center to DynamoDB: ${error.message}`);
     }
 };
 
 
-// Prepare data for posting - need stock id and quantity
-const prepareInventoryPosting = async (processedWorkOrder, odooStock) => {
+// Prepare data for posting - need stock id and the quantity not yet posted. Material already posted for
+// the request is subtracted, and material no longer on the request is returned with a negative quantity
+const prepareInventoryPosting = async (processedWorkOrder, odooStock, postedStock = [], postedValue = new Map()) => {
     try {
         let results = [];
-        processedWorkOrder.forEach(workOrderItem => {
+        const unmatchedPosted = new Map(postedStock.map(posted => [`${posted.product_id}-${posted.location_id}`, posted]));
+
+        for (const workOrderItem of processedWorkOrder) {
             let stock_id_odoo;
             let product_id_odoo;
             let location_id_odoo;
@@ -529,7 +1402,7 @@ const prepareInventoryPosting = async (processedWorkOrder, odooStock) => {
                 throw new Error(`Material code is missing item: ${JSON.stringify(workOrderItem)}`);
             }
 
-            const matchingProduct = odooStock.find(product => {
+            const matchingProducts = odooStock.filter(product => {
                 const productReferenceString = product.product_id[1];
                 const productReferenceCode = productReferenceString.match(/\[(.*?)\]/)[1];
   
@@ -541,31 +1414,80 @@ const prepareInventoryPosting = async (processedWorkOrder, odooStock) => {
                 // Match the product by reference code
                 return productReferenceCode.trim().toUpperCase() === workOrderItem.materialCode.trim().toUpperCase();
             });
-            
-            // Check, if matching product was found
-            if (matchingProduct) {
-                stock_id_odoo = matchingProduct.id;
-                product_id_odoo = matchingProduct.product_id[0];
-                location_id_odoo = matchingProduct.location_id[0];
-                quantity_odoo = matchingProduct.quantity;
+            const matchingQuants = selectQuantsForWarehouse(matchingProducts, workOrderItem, stockPolicy !== "reject");
 
-                // Validate quantity
-                const newQuantity = quantity_odoo - workOrderItem.quantity;
-                if (newQuantity < 0) {
-                    throw new Error(`Cannot post ${workOrderItem.quantity} for stock ID ${stock_id_odoo}. Odoo has ${quantity_odoo}.`);
+            // Material without a quant at its location has no stock there, which only reject refuses
+            const unstockedProduct = !matchingQuants.length && stockPolicy !== "reject" ? await findOdooProduct(workOrderItem.materialCode) : null;
+
+            // Check, if matching product was found
+            if (matchingQuants.length || unstockedProduct) {
+                const matchingProduct = matchingQuants[0];
+                stock_id_odoo = matchingProduct?.id;
+                product_id_odoo = matchingProduct ? matchingProduct.product_id[0] : unstockedProduct.id;
+                location_id_odoo = matchingProduct ? matchingProduct.location_id[0] : getWarehouseLocation(workOrderItem).id;
+                quantity_odoo = matchingQuants.reduce((total, quant) => total + quant.quantity, 0);
+
+                // Infraspeak counts in the material's unit, Odoo stock in the product's unit of measure
+                const materialUomId = getOdooUomForUnit(workOrderItem.unit);
+                const productUomId = matchingProduct ? matchingProduct.product_uom_id[0] : unstockedProduct.uom_id[0];
+                const consumedQuantity = convertQuantity(workOrderItem.quantity, materialUomId, productUomId);
+
+                const postedKey = `${product_id_odoo}-${location_id_odoo}`;
+                const posted = unmatchedPosted.get(postedKey);
+                const quantity = Number((consumedQuantity - (posted?.quantity || 0)).toFixed(10));
+                unmatchedPosted.delete(postedKey);
+                if (quantity === 0) {
+                    continue;
                 }
 
-                results.push({
+                // A reduction comes off the flagged quantity first, which only the journal carries. Only the
+                // rest was moved and goes back to stock
+                const flaggedReduction = quantity < 0 ? Math.min(Math.max(0, posted?.flagged || 0), -quantity) : 0;
+
+                const posting = {
                     product_id: product_id_odoo,
                     location_id: location_id_odoo,
-                    quantity: workOrderItem.quantity,
-                    work_order_id: processedWorkOrder[0].workOrderId
-                });
+                    quantity: Number((quantity + flaggedReduction).toFixed(10)),
+                    accountQuantity: quantity,
+                    work_order_id: processedWorkOrder[0].workOrderId,
+                    materialCode: workOrderItem.materialCode,
+                    meanPrice: convertUnitPrice(workOrderItem.meanPrice, materialUomId, productUomId),
+                    ...(materialValuation === 'odoo' && { odooCost: quantUnitCost(matchingQuants, workOrderItem) })
+                };
+
+                // Validate quantity
+                const newQuantity = quantity_odoo - quantity;
+                if (newQuantity < 0) {
+                    if (stockPolicy === "reject") {
+                        throw new Error(`Cannot post ${quantity} for stock ID ${stock_id_odoo}. Odoo has ${quantity_odoo}.`);
+                    }
+                    applyStockPolicy(posting, quantity_odoo);
+                }
+                results.push(posting);
             } else {
                 throw new Error(`No matching product found in Odoo for materialCode: ${workOrderItem.materialCode}`);
             }
+        }
+
+        // Material posted before but no longer on the request goes back to stock at its posted value.
+        // A picking return is valued by Odoo, so no journal value is needed. Flagged stock was never moved,
+        // so it is only taken out of the journal
+        unmatchedPosted.forEach(posted => {
+            if (posted.quantity === 0) {
+                return;
+            }
+            results.push({
+                product_id: posted.product_id,
+                location_id: posted.location_id,
+                quantity: -Number((posted.quantity - Math.max(0, posted.flagged || 0)).toFixed(10)),
+                accountQuantity: -posted.quantity,
+                work_order_id: posted.work_order_id,
+                materialCode: posted.materialCode,
+                meanPrice: postingMode === "manual" ? postedUnitPrice(posted, postedStock, postedValue) : 0
+            });
         });
-        if (results.length === 0) {
+
+        if (processedWorkOrder.length === 0 && postedStock.length === 0) {
             throw new Error('No valid inventory data to post.');
         }
         return results;
@@ -577,56 +1499,325 @@ const prepareInventoryPosting = async (processedWorkOrder, odooStock) => {
 };
 
 
-// Post to Odoo Inventory and Odoo Accounting
-const postToOdoo = async (inventoryData, accountingData, orderType, state, requestId) => {
-    try {
-        // Post to Odoo Inventory
-        const responseInventory = await Promise.all(
-            inventoryData.map(async (data) => {
-                return await postOdooInventory(data, orderType, state);
-            })
-        );
+// Unit cost of the quants stock is drawn from, in the product's unit of measure. Quants without stock
+// carry no usable value, so the Infraspeak mean price is used instead
+const quantUnitCost = (quants, workOrderItem) => {
+    const quantity = quants.reduce((total, quant) => total + quant.quantity, 0);
+    const value = quants.reduce((total, quant) => total + (quant.value || 0), 0);
+    if (quantity <= 0) {
+        console.warn(`No Odoo stock to value ${workOrderItem.materialCode} at. Using the Infraspeak mean price`);
+        return undefined;
+    }
+    return value / quantity;
+};
+
+
+// Adjust a posting that exceeds the stock in Odoo according to the insufficient stock policy, and
+// describe the outcome so it can be recorded on the request
+const applyStockPolicy = (posting, available) => {
+    const requested = posting.quantity;
+    if (stockPolicy === "partial") {
+        posting.quantity = Math.max(0, Math.min(requested, available));
+        posting.accountQuantity = posting.quantity;
+    } else if (stockPolicy === "accounting_only") {
+        posting.quantity = 0;
+    }
+
+    posting.stockOutcome = {
+        policy: stockPolicy,
+        material_code: posting.materialCode,
+        product_id: posting.product_id,
+        location_id: posting.location_id,
+        requested: requested,
+        available: available,
+        stock_posted: posting.quantity,
+        account_posted: posting.accountQuantity,
+        remainder: requested - posting.accountQuantity,
+        recorded_at: new Date().toISOString()
+    };
+    console.warn(`Insufficient stock for ${posting.materialCode}: requested ${requested}, Odoo has ${available}. Policy ${stockPolicy}`);
+};
+
+
+// Odoo location mapped from the Infraspeak warehouse a material was drawn from
+const getWarehouseLocation = (workOrderItem) => {
+    const location = warehouseLocations.get(String(workOrderItem.warehouseId));
+    if (!location) {
+        throw new Error(`No Odoo location mapped for Infraspeak warehouse ${workOrderItem.warehouseId} (materialCode: ${workOrderItem.materialCode})`);
+    }
+    return location;
+};
+
+
+// Quants of a material at the Odoo location mapped from the Infraspeak warehouse it was drawn from,
+// including its child locations. Stock spread over several locations there is reported, not guessed
+// allowUnstocked returns no quants instead of failing when the material is only stocked elsewhere
+const selectQuantsForWarehouse = (matchingProducts, workOrderItem, allowUnstocked = false) => {
+    if (!matchingProducts.length) {
+        return [];
+    }
+    const location = getWarehouseLocation(workOrderItem);
+
+    const quants = matchingProducts.filter(quant => {
+        return quant.location_id[0] === location.id || quant.location_id[1].startsWith(`${location.name}/`);
+    });
+    const locationNames = [...new Set(quants.map(quant => quant.location_id[1]))];
+    if (locationNames.length > 1) {
+        throw new Error(`Material ${workOrderItem.materialCode} is stocked in several locations under ${location.name}: ${locationNames.join(', ')}`);
+    }
+    if (!quants.length && !allowUnstocked) {
+        const otherLocations = [...new Set(matchingProducts.map(quant => quant.location_id[1]))];
+        throw new Error(`Material ${workOrderItem.materialCode} has no stock in ${location.name} (Infraspeak warehouse ${workOrderItem.warehouseId}). Found in: ${otherLocations.join(', ')}`);
+    }
+    return quants;
+};
+
+
+// Odoo product of a material code, by internal reference, for material with no quant to take it from
+const findOdooProduct = async (materialCode) => {
+    const code = materialCode.trim().toUpperCase();
+    if (productsByCode.has(code)) {
+        return productsByCode.get(code);
+    }
+    const endpoint = '/web/dataset/call_kw/product.product/search_read';
+    const params = {
+        model: "product.product",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [["default_code", "=ilike", materialCode.trim()]],
+            fields: ["id", "default_code", "uom_id"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    const products = response.result || [];
+    if (products.length > 1) {
+        throw new Error(`Material code ${materialCode} matched ${products.length} Odoo products, expected exactly 1`);
+    }
+    productsByCode.set(code, products[0] || null);
+    return products[0] || null;
+};
+
+
+// Unit value of a posted product, from the product lines of the journals posted for the request
+const postedUnitPrice = (posted, postedStock, postedValue) => {
+    const postedQuantity = postedStock
+        .filter(stock => stock.product_id === posted.product_id)
+        .reduce((total, stock) => total + stock.quantity, 0);
+    const value = postedValue.get(posted.product_id);
 
-        // Collect result IDs and log responses
-        const inventoryResultIds = responseInventory.map((response, index) => {
+    if (value === undefined || postedQuantity === 0) {
+        throw new Error(`Cannot value returned material ${posted.materialCode}: posted journals carry no value for product ${posted.product_id}`);
+    }
+    return value / postedQuantity;
+};
+
+
+// Deduct posted quantities from the cached Odoo stock quants
+const applyPostedQuantities = (odooStock, inventoryPosting) => {
+    inventoryPosting.forEach(posting => {
+        const quant = odooStock.find(stock => stock.product_id[0] === posting.product_id && stock.location_id[0] === posting.location_id);
+        if (quant) {
+            quant.quantity -= posting.quantity;
+        }
+    });
+};
+
+
+// Post to Odoo Inventory and Odoo Accounting as a saga. Every completed step is recorded on the
+// request, and on failure the completed steps are compensated in reverse order
+// postingRef scopes the idempotency keys, so a retry after a timeout adopts what Odoo already accepted
+// postedIds are the stock moves and journals already posted for the request, which this posting adds to
+const postToOdoo = async (inventoryData, accountingData, orderType, state, requestId, postingRef, postedIds) => {
+    const completedSteps = [];
+    try {
+        // Returns follow the way their original move was posted, new stock the posting mode
+        const pickingData = inventoryData.filter(data => data.origin_move_id ? data.picking : postingMode === "picking");
+        const moveData = inventoryData.filter(data => !pickingData.includes(data));
+
+        // Post to Odoo Inventory, one move at a time so every created move is known
+        const inventoryResultIds = [];
+        for (const [index, data] of moveData.entries()) {
+            const key = data.origin_move_id
+                ? `${postingRef}/stock.move/return-${data.origin_move_id}`
+                : `${postingRef}/stock.move/${data.product_id}-${data.location_id}`;
+            const response = await postOdooInventory(data, orderType, state, key);
             console.log(`Inventory response for item ${index + 1}:`, response);
-            return response.result;
-        });
+            inventoryResultIds.push(response.result);
+            completedSteps.push({ step: "stock.move", id: response.result, key, data });
+            await savePostingSteps(requestId, completedSteps);
+        }
 
-        // Post to Odoo Accounting
-        let responseAccounting = await postOdooAccounting(accountingData, accountingData.costCenter, orderType, state);
+        // Post pickings, one per location and direction. Odoo books their valuation journals
+        const valuationIds = [];
+        for (const [key, entries] of await groupPickingData(pickingData, accountingData.costCenter, state, postingRef)) {
+            const response = await postOdooPicking(entries, orderType, state, key);
+            console.log(`Picking response for ${key}:`, response);
+            completedSteps.push({ step: "stock.picking", id: response.result, key, entries });
+            await savePostingSteps(requestId, completedSteps);
+            response.moves.forEach(move => {
+                inventoryResultIds.push(move.id);
+                valuationIds.push(...move.account_move_ids);
+            });
+        }
+
+        // Reverse the posted journals with Odoo's own move reversal. Reversals are created posted
+        if (state === "REVERSED") {
+            const reversalIds = await reverseOdooJournals(accountingData.journalIds, `${orderType} ${accountingData.workOrderId} REVERSED`);
+            reversalIds.forEach(id => completedSteps.push({ step: "account.move", id, posted: true }));
+            await savePostingSteps(requestId, completedSteps);
+            await saveInventoryResponseToDynamo(requestId, postedIds, inventoryResultIds, [...valuationIds, ...reversalIds], true);
+
+            return {
+                inventory: inventoryResultIds,
+                accounting: [...valuationIds, ...reversalIds]
+            };
+        }
+
+        // Stock picked in full needs no hand-built journal
+        if (!accountingData.material.length) {
+            await saveInventoryResponseToDynamo(requestId, postedIds, inventoryResultIds, valuationIds);
+            return {
+                inventory: inventoryResultIds,
+                accounting: valuationIds
+            };
+        }
+
+        // Post to Odoo Accounting. The journal is created as draft
+        const responseAccounting = await postOdooAccounting(accountingData, accountingData.costCenter, orderType, state, `${postingRef}/account.move`);
         console.log('responseAccounting', responseAccounting);
+        if (!responseAccounting.result) {
+            throw new Error('Odoo did not return an account.move id');
+        }
+        completedSteps.push({ step: "account.move", id: responseAccounting.result, posted: responseAccounting.state === "posted" });
+        await savePostingSteps(requestId, completedSteps);
 
-        // Save collected stock.move IDs and account.move ids to DynamoDB
-        if (requestId && inventoryResultIds && responseAccounting.result) {
-            await saveInventoryResponseToDynamo(requestId, inventoryResultIds, responseAccounting.result);
+        // Post the journal, then add the collected stock.move and account.move IDs to those in DynamoDB.
+        // Compensated postings are never recorded, so later deltas and reversals only see what stands in Odoo
+        if (responseAccounting.state !== "posted") {
             await updateJournalFromDraftToDone(responseAccounting.result);
-        } else {
-            console.warn('Missing required data:', {requestId, inventoryResultIds, accountResultId});
         }
+        completedSteps.push({ step: "account.move.post", id: responseAccounting.result });
+        await savePostingSteps(requestId, completedSteps);
+        await saveInventoryResponseToDynamo(requestId, postedIds, inventoryResultIds, [...valuationIds, responseAccounting.result]);
 
         return {
-            inventory: responseInventory.map(response => response ? response.result : null),
-            accounting: responseAccounting ? responseAccounting.result : null
+            inventory: inventoryResultIds,
+            accounting: responseAccounting.result
         };
     } catch (error) {
+        // Odoo holds the whole posting, only its IDs are unsaved. Keep it, so the retry adopts it
+        if (error.postedInOdoo) {
+            throw error;
+        }
         console.error('Error posting data to Odoo:', error);
-        throw new Error(`Error posting data to Odoo: ${error.message}`);
+        const postingError = new Error(`Error posting data to Odoo: ${error.message}`);
+
+        const compensationErrors = await compensatePosting(completedSteps, orderType, state);
+        await savePostingSteps(requestId, completedSteps);
+
+        if (compensationErrors.length) {
+            postingError.message += `. Compensation incomplete, manual correction required: ${compensationErrors.join('; ')}`;
+            postingError.syncStatus = "COMPENSATION_FAILED";
+        } else {
+            postingError.compensated = completedSteps.length > 0;
+        }
+        throw postingError;
+    }
+};
+
+
+// Undo completed posting steps in reverse order. Returns the steps that could not be undone
+const compensatePosting = async (completedSteps, orderType, state) => {
+    const compensationErrors = [];
+
+    for (const step of [...completedSteps].reverse()) {
+        if (step.compensated_by) {
+            continue;
+        }
+        try {
+            if (step.step === "account.move" && step.posted) {
+                throw new Error('Journal is already posted and needs a reversal');
+            } else if (step.step === "account.move") {
+                // The journal never reached posted state, so cancelling the draft is enough
+                await cancelDraftJournal(step.id);
+                step.compensated_by = "button_cancel";
+            } else if (step.step === "stock.move") {
+                // Done stock moves cannot be deleted, so book the opposite movement
+                const response = await postOdooInventory(step.data, orderType, state, `${step.key}/compensation`, true);
+                step.compensated_by = response.result;
+            } else if (step.step === "stock.picking") {
+                step.compensated_by = await compensatePicking(step, orderType, state);
+            }
+            console.log(`Compensated ${step.step} ${step.id}`);
+        } catch (error) {
+            console.error(`Error compensating ${step.step} ${step.id}:`, error);
+            compensationErrors.push(`${step.step} ${step.id}: ${error.message}`);
+        }
+    }
+    return compensationErrors;
+};
+
+
+// Undo a picking. A validated picking is returned, so Odoo also reverses its valuation, and one that
+// never got to done is cancelled
+const compensatePicking = async (step, orderType, state) => {
+    const [picking] = await readOdooPickings([step.id]);
+    if (!picking || picking.state === "cancel") {
+        return "cancelled";
+    }
+    if (picking.state !== "done") {
+        await cancelOdooPicking(step.id);
+        return "action_cancel";
+    }
+
+    const moves = await fetchPickingMoves(step.id);
+    const entries = step.entries.map(entry => ({
+        ...entry,
+        origin_move_id: moves.find(move => move.product_id[0] === entry.product_id)?.id
+    }));
+    const response = await postOdooPicking(entries, orderType, state, `${step.key}/compensation`, true);
+    return response.result;
+};
+
+
+// Record posting saga steps on the request
+const savePostingSteps = async (requestId, completedSteps) => {
+    const params = {
+        TableName: tableName,
+        Key: {
+            request_id: requestId
+        },
+        UpdateExpression: 'SET posting_steps = :steps',
+        ExpressionAttributeValues: {
+            ':steps': completedSteps.map(({ step, id, compensated_by }) => ({ step, id, ...(compensated_by && { compensated_by }) }))
+        }
+    };
+    try {
+        await dynamoDb.send(new UpdateCommand(params));
+    } catch (error) {
+        console.error('Error saving posting steps to DynamoDB:', error);
     }
 };
 
 
-// Save list of odoo stock move ids to dynamo
-const saveInventoryResponseToDynamo = async (requestId, inventoryResultIds, accountResultId) => {
+// Add the odoo stock move and journal ids of a posting to those already saved in dynamo. account_move_id
+// keeps the first journal of the request
+// A reversal also drops the stock flagged under accounting_only, as the journals carrying it are reversed
+// A failed save is raised with postedInOdoo set: the posting stands, and its retry adopts it by key
+const saveInventoryResponseToDynamo = async (requestId, postedIds, inventoryResultIds, accountResultIds, reversal = false) => {
+    const accountMoveIds = [...new Set([...postedJournalIds(postedIds), ...accountResultIds])];
     const params = {
         TableName: tableName,
         Key: {
             request_id: requestId
         },
-        UpdateExpression: 'SET stock_move_ids = :newJournalResult, account_move_id = :newAccountResult',
+        UpdateExpression: 'SET stock_move_ids = :stockMoveIds, account_move_ids = :accountMoveIds, account_move_id = :accountMoveId'
+            + (reversal ? ' REMOVE unposted_stock' : ''),
         ExpressionAttributeValues: {
-            ':newJournalResult': inventoryResultIds,
-            ':newAccountResult': accountResultId
+            ':stockMoveIds': [...new Set([...postedIds.stock_move_ids, ...inventoryResultIds])],
+            ':accountMoveIds': accountMoveIds,
+            ':accountMoveId': postedIds.account_move_id || accountMoveIds[0] || null
         }
     };
     try {
@@ -634,34 +1825,44 @@ const saveInventoryResponseToDynamo = async (requestId, inventoryResultIds, acco
         console.log(`Successfully saved result IDs to DynamoDB for: ${requestId}`);
     } catch (error) {
         console.error('Error saving result IDs to DynamoDB:', error);
+        const saveError = new Error(`Error saving result IDs to DynamoDB: ${error.message}`);
+        saveError.postedInOdoo = true;
+        throw saveError;
     }
 };
 
 
-// Check if journal already posted
-const fetchAccountMovementOdoo = async (orderId, moveId) => {
-    const endpoint = '/web/dataset/call_kw/account.move/search_read';
+// Net value booked to the inventory account per product by the posted journals of a request.
+// Journal lines without a product are grouped under false
+const fetchPostedInventoryValue = async (journalIds) => {
+    const postedValue = new Map();
+    if (!journalIds.length) {
+        return postedValue;
+    }
+    const endpoint = '/web/dataset/call_kw/account.move.line/search_read';
     const params = {
-        model: "account.move",
+        model: "account.move.line",
         method: "search_read",
         args: [],
         kwargs: {
-            domain: [["id", "=", moveId]],
-            fields: ["amount_total"]
+            domain: [
+                ["move_id", "in", journalIds],
+                ["account_id", "=", odooMapping.inventoryAccount],
+                ["parent_state", "=", "posted"]
+            ],
+            fields: ["product_id", "debit", "credit"]
         }
     };
     try {
         const response = await fetchRequestOdoo(endpoint, params);
-        
-        if (response && response.result && response.result.length > 0) {
-            return response.result[0];
-        } else {
-            console.error(`No account movement found for order ${orderId} and move id: ${moveId}`, error);
-            throw new Error(`No account movement found for order ${orderId} and move id: ${moveId}`, error);
-        }
+        (response.result || []).forEach(line => {
+            const productId = line.product_id?.[0] || false;
+            postedValue.set(productId, (postedValue.get(productId) || 0) + line.debit - line.credit);
+        });
+        return postedValue;
     } catch (error) {
-        console.error(`Error fetching account movement from Odoo for orderId ${orderId} and moveId ${moveId}`, error);
-        throw new Error(`Error fetching account movement from Odoo for orderId ${orderId} and moveId ${moveId}`, error);
+        console.error(`Error fetching posted journal lines from Odoo for journals ${journalIds}`, error);
+        throw new Error(`Error fetching posted journal lines from Odoo for journals ${journalIds}: ${error.message}`);
     }
 };
 
@@ -685,6 +1886,83 @@ const updateJournalFromDraftToDone = async (moveId) => {
 };
 
 
+// Reverse posted journals through Odoo's account.move.reversal wizard, so reversed_entry_id links every
+// reversal to its original. Journals reversed before are skipped and reversals left in draft are posted.
+// Returns the IDs of all reversals of the journals
+const reverseOdooJournals = async (journalIds, reason) => {
+    if (!journalIds.length) {
+        return [];
+    }
+    try {
+        const originals = await searchAccountMoves([["id", "in", journalIds], ["state", "=", "posted"], ["reversed_entry_id", "=", false]]);
+        let reversals = await searchAccountMoves([["reversed_entry_id", "in", journalIds], ["state", "!=", "cancel"]]);
+        const reversedIds = new Set(reversals.map(reversal => reversal.reversed_entry_id[0]));
+        const toReverse = originals.map(move => move.id).filter(id => !reversedIds.has(id));
+
+        if (toReverse.length) {
+            const context = { active_model: "account.move", active_ids: toReverse };
+            const wizard = await fetchRequestOdoo('/web/dataset/call_kw/account.move.reversal/create', {
+                model: "account.move.reversal",
+                method: "create",
+                args: [{ move_ids: [[6, 0, toReverse]], reason: reason }],
+                kwargs: { context: context }
+            });
+            await fetchRequestOdoo('/web/dataset/call_kw/account.move.reversal/reverse_moves', {
+                model: "account.move.reversal",
+                method: "reverse_moves",
+                args: [[wizard.result]],
+                kwargs: { context: context }
+            });
+            reversals = await searchAccountMoves([["reversed_entry_id", "in", journalIds], ["state", "!=", "cancel"]]);
+        }
+
+        for (const reversal of reversals.filter(move => move.state === "draft")) {
+            await updateJournalFromDraftToDone(reversal.id);
+        }
+        return reversals.map(reversal => reversal.id);
+    } catch (error) {
+        console.error(`Error reversing journals ${journalIds}: ${error}`);
+        throw new Error(`Error reversing journals ${journalIds}: ${error.message}`);
+    }
+};
+
+
+// Search journals by domain
+const searchAccountMoves = async (domain) => {
+    const endpoint = '/web/dataset/call_kw/account.move/search_read';
+    const params = {
+        model: "account.move",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: domain,
+            fields: ["id", "state", "reversed_entry_id"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    return response.result || [];
+};
+
+
+// Cancel a draft journal
+const cancelDraftJournal = async (moveId) => {
+    const endpoint = '/web/dataset/call_kw/account.move/button_cancel';
+    const params = {
+        model: "account.move",
+        method: "button_cancel",
+        args: [[moveId]],
+        kwargs: {}
+    };
+    try {
+        const response = await fetchRequestOdoo(endpoint, params);
+        return response.result;
+    } catch (error) {
+        console.error(`Error cancelling draft journal: ${error}`);
+        throw new Error(`Error cancelling draft journal ${moveId}: ${error.message}`);
+    }
+};
+
+
 // Fetch stock movements by x_work_order_id and list of result IDs
 const fetchStockMovementOdoo = async (orderId, resultIds) => {
     const endpoint = '/web/dataset/call_kw/stock.move/search_read';
@@ -697,7 +1975,7 @@ const fetchStockMovementOdoo = async (orderId, resultIds) => {
                 ["x_work_order_id", "=", orderId],
                 ["id", "in", resultIds]
             ],
-            fields: ["x_work_order_id", "product_id", "quantity", "location_id", "location_dest_id"]
+            fields: ["x_work_order_id", "product_id", "quantity", "location_id", "location_dest_id", "location_dest_usage", "origin_returned_move_id", "picking_id"]
         }
     };
     try {
@@ -710,29 +1988,25 @@ const fetchStockMovementOdoo = async (orderId, resultIds) => {
 };
 
 
-// Post stock adjustment to Odoo Inventory
-const postOdooInventory = async (data, orderType, state) => {
-    const status = state === "REVERSED" ? "Stock Move REVERSED": "Stock move"
-    const locactionId = state === "REVERSED" ? locationDestId : data.location_id;
-    const destinationId = state === "REVERSED" ? data.location_id : locationDestId;
+// Post stock adjustment to Odoo Inventory. A compensation or a negative quantity books the opposite movement
+const postOdooInventory = async (data, orderType, state, idempotencyKey, compensation = false) => {
+    const status = compensation ? "Stock Move COMPENSATION" : state === "REVERSED" ? "Stock Move REVERSED": "Stock move"
+    const fromScrap = ((state === "REVERSED") !== compensation) !== (data.quantity < 0);
+    const locactionId = fromScrap ? odooMapping.scrapLocation : data.location_id;
+    const destinationId = fromScrap ? data.location_id : odooMapping.scrapLocation;
 
-    const endpoint = '/web/dataset/call_kw/stock.move/create';
-    const params = {
-        model: "stock.move",
-        method: "create",
-        args: [{
+    try {
+        const response = await createOdooRecordOnce("stock.move", {
             product_id: data.product_id,
             location_id: locactionId,
             location_dest_id: destinationId,
-            quantity: data.quantity,
+            quantity: Math.abs(data.quantity),
             x_work_order_id: data.work_order_id,
+            x_idempotency_key: idempotencyKey,
+            ...(data.origin_move_id && !compensation && { origin_returned_move_id: data.origin_move_id }),
             name: `${orderType} ${data.work_order_id} - ${status}`,
             state: 'done',
-        }],
-        kwargs: {}
-    };
-    try {
-        const response = await fetchRequestOdoo(endpoint, params);
+        });
         return response;
     }catch (error){
         console.error(`Error posting stock to Odoo for order ${data.work_order_id}`, error);
@@ -741,47 +2015,199 @@ const postOdooInventory = async (data, orderType, state) => {
 };
 
 
-// Post journal entry to Odoo Accounting               
-const postOdooAccounting = async (accountingData, costCenterId, orderType, state) => {
-    const endpoint = '/web/dataset/call_kw/account.move/create';
-    const debitAccount = state === "REVERSED" ? costCenterId : accountIdInventories;
-    const creditAccount = state === "REVERSED" ? accountIdInventories : costCenterId;
+// Group stock posted by picking into one picking per location and direction, keyed by idempotency key.
+// New stock goes to the consumption location of the cost center, returns back to where their move went
+const groupPickingData = async (pickingData, costCenterId, state, postingRef) => {
+    const groups = new Map();
+    for (const data of pickingData) {
+        const consumptionLocationId = data.consumption_location_id || await getConsumptionLocation(costCenterId);
+        const direction = ((state === "REVERSED") !== (data.quantity < 0)) ? "in" : "out";
+        const key = `${postingRef}/stock.picking/${direction}-${data.location_id}-${consumptionLocationId}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push({ ...data, consumption_location_id: consumptionLocationId });
+    }
+    return groups;
+};
+
+
+// Post stock through a validated picking of the consumption operation type. Stock flows from the location
+// into the consumption location, or back into stock for a return, a compensation or a negative quantity.
+// Returns the picking ID and its moves with the valuation journals Odoo booked for them
+const postOdooPicking = async (entries, orderType, state, idempotencyKey, compensation = false) => {
+    const status = compensation ? "Picking COMPENSATION" : state === "REVERSED" ? "Picking REVERSED" : "Picking";
+    const { location_id, consumption_location_id, work_order_id } = entries[0];
+    const intoStock = ((state === "REVERSED") !== compensation) !== (entries[0].quantity < 0);
+    const locationId = intoStock ? consumption_location_id : location_id;
+    const destinationId = intoStock ? location_id : consumption_location_id;
+
+    const moves = entries.map(data => [0, 0, {
+        name: `${orderType} ${work_order_id} - ${status}`,
+        product_id: data.product_id,
+        product_uom_qty: Math.abs(data.quantity),
+        quantity: Math.abs(data.quantity),
+        picked: true,
+        location_id: locationId,
+        location_dest_id: destinationId,
+        x_work_order_id: work_order_id,
+        x_idempotency_key: `${idempotencyKey}/${data.origin_move_id || data.product_id}`,
+        ...(data.origin_move_id && { origin_returned_move_id: data.origin_move_id })
+    }]);
+
+    try {
+        const response = await createOdooRecordOnce("stock.picking", {
+            picking_type_id: odooMapping.consumptionPickingType,
+            location_id: locationId,
+            location_dest_id: destinationId,
+            origin: `${orderType} ${work_order_id} - ${status}`,
+            move_ids: moves,
+            x_work_order_id: work_order_id,
+            x_idempotency_key: idempotencyKey,
+        });
+        if (response.state !== "done") {
+            await validateOdooPicking(response.result);
+        }
+        return { result: response.result, moves: await fetchPickingMoves(response.result) };
+    } catch (error) {
+        console.error(`Error posting picking to Odoo for order ${work_order_id}`, error);
+        throw new Error(`Error posting picking to Odoo for order ${work_order_id}: ${error.message}`);
+    }
+};
+
+
+// Confirm and validate a picking without a backorder, and check it reached done
+const validateOdooPicking = async (pickingId) => {
+    const context = { skip_backorder: true, picking_ids_not_to_backorder: [pickingId], skip_sms: true };
+    for (const method of ["action_confirm", "button_validate"]) {
+        await fetchRequestOdoo(`/web/dataset/call_kw/stock.picking/${method}`, {
+            model: "stock.picking",
+            method: method,
+            args: [[pickingId]],
+            kwargs: { context: context }
+        });
+    }
+
+    const [picking] = await readOdooPickings([pickingId]);
+    if (picking && picking.state !== "done") {
+        throw new Error(`Picking ${pickingId} is ${picking.state} after validation`);
+    }
+};
+
+
+// Read the state of pickings
+const readOdooPickings = async (pickingIds) => {
+    const endpoint = '/web/dataset/call_kw/stock.picking/search_read';
+    const params = {
+        model: "stock.picking",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [["id", "in", pickingIds]],
+            fields: ["id", "state"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    return response.result || [];
+};
+
+
+// Cancel a picking that was not validated
+const cancelOdooPicking = async (pickingId) => {
+    const endpoint = '/web/dataset/call_kw/stock.picking/action_cancel';
+    const params = {
+        model: "stock.picking",
+        method: "action_cancel",
+        args: [[pickingId]],
+        kwargs: {}
+    };
+    try {
+        const response = await fetchRequestOdoo(endpoint, params);
+        return response.result;
+    } catch (error) {
+        console.error(`Error cancelling picking: ${error}`);
+        throw new Error(`Error cancelling picking ${pickingId}: ${error.message}`);
+    }
+};
+
+
+// Moves of a picking with the valuation journals booked for them
+const fetchPickingMoves = async (pickingId) => {
+    const endpoint = '/web/dataset/call_kw/stock.move/search_read';
+    const params = {
+        model: "stock.move",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [["picking_id", "=", pickingId]],
+            fields: ["id", "product_id", "state", "account_move_ids"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    return response.result || [];
+};
+
+
+// Consumption location posting to a cost center: a non-internal location whose valuation in and out
+// accounts are the cost center account, so Odoo books consumption and returns against it
+const getConsumptionLocation = async (costCenterId) => {
+    if (consumptionLocations.has(costCenterId)) {
+        return consumptionLocations.get(costCenterId);
+    }
+    const endpoint = '/web/dataset/call_kw/stock.location/search_read';
+    const params = {
+        model: "stock.location",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [
+                ["usage", "in", ["inventory", "production"]],
+                ["valuation_in_account_id", "=", costCenterId],
+                ["valuation_out_account_id", "=", costCenterId]
+            ],
+            fields: ["id", "complete_name"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    const locations = response.result || [];
+    if (locations.length !== 1) {
+        throw new Error(`Expected exactly 1 consumption location posting to cost center account ${costCenterId}, found ${locations.length}. Set the account as valuation in and out account of one inventory loss or production location`);
+    }
+    consumptionLocations.set(costCenterId, locations[0].id);
+    return locations[0].id;
+};
+
+
+// Post journal entry to Odoo Accounting. Each material debits the inventory account and credits the cost
+// center. Under odoo valuation the inventory line is at Odoo cost and the difference goes to price variance.
+// Material given back has a negative quantity and books the opposite way. Only the cost center line
+// carries the analytic distribution
+const postOdooAccounting = async (accountingData, costCenterId, orderType, state, idempotencyKey) => {
     let name;
     const materialLines = accountingData.material.map(material => {
-        name = state === "REVERSED" 
-        ? `${orderType} ${accountingData.workOrderId} REVERSED`
-        : `${orderType} ${accountingData.workOrderId} - Ref: ${material.materialCode} (Qty: ${material.quantity})`;
-        
-        const amount = state === "REVERSED" ? material.meanPrice : material.meanPrice * material.quantity;
+        name = `${orderType} ${accountingData.workOrderId} - Ref: ${material.materialCode} (Qty: ${material.quantity})`;
+        const product = material.productId ? { product_id: material.productId } : {};
+
+        const amount = roundAmount(material.meanPrice * material.quantity);
+        const inventoryAmount = material.odooCost === undefined ? amount : roundAmount(material.odooCost * material.quantity);
+        const variance = roundAmount(amount - inventoryAmount);
 
         return [
-            [0, 0, { 
-                account_id: debitAccount,
-                name: name,
-                debit: amount
-            }],
-            [0, 0, {
-                account_id: creditAccount,
-                name: name,                
-                credit: amount
-            }]
-        ]
+            [0, 0, journalLine(odooMapping.inventoryAccount, name, inventoryAmount, product)],
+            [0, 0, journalLine(costCenterId, name, -amount, { ...product, ...analyticFields(accountingData.analyticDistribution) })],
+            ...(variance !== 0 ? [[0, 0, journalLine(odooMapping.priceVarianceAccount, `${name} - Price variance`, variance, product)]] : [])
+        ];
     }).flat();
     
-    const params = {
-            model: "account.move",
-            method: "create",
-            args: [{
-                ref: name,
-                move_type: "entry",
-                journal_id: accountJournalId,
-                line_ids: materialLines,
-                x_work_order_id: accountingData.workOrderId,
-            }],
-        kwargs: {}
-    };
     try {
-        const response = await fetchRequestOdoo(endpoint, params);
+        const response = await createOdooRecordOnce("account.move", {
+            ref: name,
+            move_type: "entry",
+            journal_id: odooMapping.inventoryJournal,
+            line_ids: materialLines,
+            x_work_order_id: accountingData.workOrderId,
+            x_idempotency_key: idempotencyKey,
+        });
         return response;
     }catch (error){
         console.error(`Error posting journal to Odoo for order ${accountingData.workOrderId}`, error);
@@ -790,6 +2216,22 @@ const postOdooAccounting = async (accountingData, costCenterId, orderType, state
 };
 
 
+// Journal line for a signed balance: positive debits the account, negative credits it
+const journalLine = (accountId, name, balance, fields) => ({
+    account_id: accountId,
+    name: name,
+    debit: balance > 0 ? balance : 0,
+    credit: balance < 0 ? -balance : 0,
+    ...fields
+});
+
+
+// Round an amount to the cent, so the lines of an entry balance after Odoo rounds them
+const roundAmount = (amount) => {
+    return Math.round(amount * 100) / 100;
+};
+
+
 // Get user details if an error is thrown
 const getUserDetails = async (userId) => {
     const endpoint = `users`;
@@ -804,43 +2246,70 @@ const getUserDetails = async (userId) => {
 };
 
 
-// Create a return response
-const createResponse = (message, statusCode = 200) => {
+// Create a return response. A dry run also returns the plan of writes it skipped
+const createResponse = (message, statusCode = 200, details = {}) => {
     return {
         statusCode: statusCode,
         body: JSON.stringify({
             message: message,
+            ...details,
+            ...(isDryRun() && { dryRun: true, plan: getDryRunPlan() }),
         }),
     };
 };
 
 
-// Fetch all Infraspeak Requests using pagination
-const getInfraspeakRequests = async () => {
-    let pageNumber = 1;
-    let allRequests = [];
-    
+// Fetch COMPLETED material requests changed since the cursor (all of them on the first poll)
+const getInfraspeakRequests = async (cursor) => {
     try {
-        while (true) {
-            const endpoint = `requests?s_state_in=COMPLETED&s_related_to_type_in=FAILURE,SCHEDULE_WORK&s_type=MATERIAL_REQUEST&s_stock_consumed=true&limit=300&page=${pageNumber}`;
-            const response = await fetchRequestInfraspeak(endpoint, 'GET');
-            
-            if (Array.isArray(response.data)){
-                allRequests = allRequests.concat(response.data);
-            }
-        
-            if (!response.links?.next) {
-                break;
-            }
-            pageNumber++;
-        }
-        return allRequests;
+        return await getInfraspeakRequestPages(`s_state_in=COMPLETED&s_stock_consumed=true`, cursor);
     } catch (error) {
         console.error(`Error fetching Requests Infraspeak: ${error.message}`);
         throw new Error(`Error fetching Requests Infraspeak: ${error.message}`);
     }
 };
 
+
+// Fetch material requests cancelled since the cursor
+const getCancelledInfraspeakRequests = async (cursor) => {
+    try {
+        return await getInfraspeakRequestPages(`s_state_in=${CANCELLED_REQUEST_STATES}`, cursor);
+    } catch (error) {
+        console.error(`Error fetching cancelled Requests Infraspeak: ${error.message}`);
+        throw new Error(`Error fetching cancelled Requests Infraspeak: ${error.message}`);
+    }
+};
+
+
+// Fetch all pages of material requests matching the filter, updated at or after the cursor
+const getInfraspeakRequestPages = async (filter, cursor) => {
+    return await getInfraspeakPages(`requests?${filter}&s_related_to_type_in=FAILURE,SCHEDULE_WORK&s_type=MATERIAL_REQUEST`, cursor);
+};
+
+
+// Fetch all pages of an Infraspeak listing, updated at or after the cursor
+const getInfraspeakPages = async (path, cursor) => {
+    const separator = path.includes('?') ? '&' : '?';
+    const dateFilter = cursor ? `&s_date_updated_gte=${encodeURIComponent(cursor)}` : '';
+    let pageNumber = 1;
+    let allItems = [];
+
+    while (true) {
+        const endpoint = `${path}${separator}limit=300&page=${pageNumber}${dateFilter}`;
+        const response = await fetchRequestInfraspeak(endpoint, 'GET');
+
+        if (Array.isArray(response.data)){
+            allItems = allItems.concat(response.data);
+        }
+
+        if (!response.links?.next) {
+            break;
+        }
+        pageNumber++;
+    }
+    return allItems;
+};
+
     
 // Function to fetch data from Infraspeak based on workOrderId
 const getInfraspeakData = async (workOrderId, orderType) => {
@@ -862,83 +2331,6 @@ const getInfraspeakData = async (workOrderId, orderType) => {
 };
 
 
-// Retrieve cost centers from Infraspeak
-const getCostCentersInfraspeak = async () => {
-    const endpoint = `cost-centers`;
-    try {
-        const response = await fetchRequestInfraspeak(endpoint, 'GET');
-        const result = response.data.map(item => ({
-            id: item.id,
-            name: item.attributes.name,
-            code: item.attributes.code
-        }));
-        return result;
-    } catch (error) {
-        console.error('Error fetching cost center Infraspeak:', error);
-        throw new Error(`Error fetching cost center Infraspeak: ${error.message}`);
-    }
-};
-
-
-// Function to perform fetch request to Infraspeak
-const fetchRequestInfraspeak = async (endpoint, method) => {
-    const url = `https://api.infraspeak.com/v3/${endpoint}`;
-    try {
-        const response = await fetch(url, {
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${INFRASPEAK_API_KEY}`,
-                'Content-Type': 'application/json',
-                'User-Agent': `OdooSpeak (${INFRASPEAK_EMAIL})`
-            }
-        });
-        if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status} - ${response.statusText}`);
-        }
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error with Infraspeak API request:', error);
-        throw new Error(`Error with Infraspeak API request: ${error.message}`);
-    }
-};
-
-
-// Fetch Cost Center Id from Odoo
-const getOdooCostCenterId = async (costCenter) => {
-    try{
-        const odooAccounts = await getOdooAccounts();
-        const odooAcccount_Id = odooAccounts.filter(({ code }) => code === costCenter);
-        const odooAccountId = odooAcccount_Id[0].id;
-        return odooAccountId;
-    }catch (error){
-        console.error("error fetching cost center id from Odoo");
-        throw new Error(`Error fetching cost center id from Odoo: ${error.message}`);
-    }
-};
-
-
-// Fetch all Odoo accounts
-const getOdooAccounts = async () => {
-    const endpoint = '/web/dataset/call_kw/account.account/search_read';
-    const params = {
-        model: "account.account",
-        method: "search_read",
-        args: [],
-        kwargs: {
-        fields: ["id", "code", "name"]
-        }
-    };
-    try {
-        const response = await fetchRequestOdoo(endpoint, params);
-        return response.result;
-    } catch (error) {
-        console.error('Error fetching Odoo Accounts:', error);
-        throw new Error(`Error fetching Odoo Acounts:: ${error.message}`);
-    }
-};
-
-
 // Fetch stock quant IDs from Odoo for a specific product and location
 const getOdooStockQuant = async (productId, locationId) => {
     const endpoint = '/web/dataset/call_kw/stock.quant/search_read';
@@ -966,117 +2358,3 @@ const getOdooStockQuant = async (productId, locationId) => {
         throw new Error(`Error fetching stock Id from Odoo: ${error.message}`);
     }
 };
-
-
-// Function to handle pagination and fetch all items
-const fetchRequestPaginateOdoo = async (endpoint, params) => {
-    let allResults = [];
-    let limit = 100;
-    let offset = 0;
-    let moreProducts = true;
-
-    while (moreProducts) {
-        const currentBatch = await fetchRequestOdooPage(endpoint, params, limit, offset);
-        if (currentBatch && currentBatch.length > 0) {
-            allResults = allResults.concat(currentBatch);
-            offset += limit;
-        } else {
-            moreProducts = false;
-        }
-    }
-    return allResults;
-};
-
-
-// Function to handle one page
-const fetchRequestOdooPage = async (endpoint, params, limit, offset) => {
-    params.kwargs.limit = limit;
-    params.kwargs.offset = offset;
-    
-    try {
-        const response = await fetchRequestOdoo(endpoint, params);
-        
-        if (response && response.result && response.result.length > 0) {
-            return response.result;
-        } else {
-            return [];
-        }
-    } catch (error) {
-        console.error('Error with fetchRequestOdooPage):', error);
-        throw new Error(`Error with fetchRqeustOdooPage : ${error.message}`);
-    }
-};
-
-
-// Fetch request to Odoo
-const fetchRequestOdoo = async (endpoint, params) => {
-    try {
-        const baseUrl = `https://${ODOO_ACCOUNT}.odoo.com`;
-        const sessionId = await authenticateOdoo(baseUrl);
-        
-        const response = await fetch(`${baseUrl}${endpoint}`, {
-            method: "POST",
-            headers: {
-                'Content-Type': 'application/json',
-                'cookie': `session_id=${sessionId}`,
-            },
-            body: JSON.stringify({
-                jsonrpc: "2.0",
-                method: "call",
-                params: params,
-                id: Math.floor(Math.random() * 1000)
-            })
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('HTTP Error:', response.status, errorText);
-            throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error with FetchRequestOdoo:', error);
-        throw new Error(`Error with FetchRequestOdoo: ${error.message}`);
-    }
-};
-
-
-// Function to authenicate Odoo account
-const authenticateOdoo = async (baseUrl) => {
-    const endpoint = '/web/session/authenticate';
-    
-    const response = await fetch(`${baseUrl}${endpoint}`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${ODOO_API_KEY}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            jsonrpc: "2.0",
-            method: "call",
-            params: {
-                db: ODOO_DB,
-                login: ODOO_LOGIN,
-                password: ODOO_PASSWORD
-            },
-            id: Math.floor(Math.random() * 1000)
-        })
-    });
-
-    if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    if (data.error) {
-        throw new Error(`Authentication error: ${data.error.message}`);
-    }
-    
-    // Extract session ID from the Set-Cookie header if available
-    const cookies = response.headers.get('Set-Cookie');
-    const sessionIdMatch = cookies && cookies.match(/session_id=([^;]*)/);
-    const sessionId = sessionIdMatch ? sessionIdMatch[1] : null;
-
-    return sessionId;
-};
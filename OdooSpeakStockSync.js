@@ -1,8 +1,12 @@
-/* global fetch */
 import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
+import { configureOdoo, fetchRequestOdooPage, fetchRequestPaginateOdoo } from './OdooClient.js';
+import { configureInfraspeak, fetchRequestInfraspeak, resetInfraspeakRequestStats, getInfraspeakRequestStats } from './InfraspeakClient.js';
+import { profile, awsClientConfig, resolveOdooBaseUrl } from './Environment.js';
+import { setDryRun, endDryRun, isDryRun, getDryRunPlan } from './DryRun.js';
+import { loadUnitsOfMeasure, getOdooUomForUnit, convertQuantity, convertUnitPrice } from './UnitOfMeasure.js';
 
-const SECRET_ID = 'odooSpeak/credentials';
-const secretsManager = new SecretsManagerClient({ region: 'eu-west-2' });
+const SECRET_ID = profile.secretId;
+const secretsManager = new SecretsManagerClient(awsClientConfig);
 
 let secretsCache = null;
 
@@ -18,19 +22,24 @@ const getSecrets = async () => {
 
 
 let secretsInitialized = false;
-let INFRASPEAK_API_KEY, ODOO_API_KEY, ODOO_DB, ODOO_LOGIN, ODOO_PASSWORD, ODOO_ACCOUNT;
 
 // Initialise secrets globally
 const initializeSecrets = async () => {
     if (!secretsInitialized) {
         try {
             const secrets = await getSecrets();
-            ODOO_API_KEY = secrets.ODOO_API_KEY;
-            INFRASPEAK_API_KEY = secrets.INFRASPEAK_API_KEY;
-            ODOO_DB = secrets.ODOO_DB;
-            ODOO_LOGIN = secrets.ODOO_LOGIN;
-            ODOO_PASSWORD = secrets.ODOO_PASSWORD;
-            ODOO_ACCOUNT = secrets.ODOO_ACCOUNT;
+            configureInfraspeak({
+                baseUrl: profile.infraspeakBaseUrl,
+                apiKey: secrets.INFRASPEAK_API_KEY,
+                userAgent: 'InfraspeakToUnleashedStockLevels (splk.sandbox@infraspeak.com)'
+            });
+            configureOdoo({
+                baseUrl: resolveOdooBaseUrl(secrets),
+                db: secrets.ODOO_DB,
+                login: secrets.ODOO_LOGIN,
+                password: secrets.ODOO_PASSWORD,
+                apiKey: secrets.ODOO_API_KEY
+            });
             secretsInitialized = true;
         } catch (error) {
             throw new Error(`Failed to initialize secrets: ${error.message}`);
@@ -40,8 +49,11 @@ const initializeSecrets = async () => {
 
 
 export const handler = async (event) => {
+    setDryRun(event?.dryRun === true);
     try {
         await initializeSecrets();
+        resetInfraspeakRequestStats();
+        await loadUnitsOfMeasure();
         
         //Step 1: Fetch data from Odoo and Infraspeak
         const [stockOdoo, productsOdoo, materialInfraspeak, warehouseInfraspeak, warehouseQtyInfraspeak] = await Promise.all([
@@ -58,6 +70,10 @@ export const handler = async (event) => {
 
         // Step 3: Check quantities and post accordingly
         const postedStock = await postStockToInfraspeak(processedOdooData, warehouseQtyInfraspeak);
+
+        if (isDryRun()) {
+            return createResponse(`Dry run. ${postedStock.length} stock movement(s) would be posted`, 200);
+        }
         
         // Step 4: get a list of stock-movement Ids
         const stockMovementIds = postedStock.map(item => item.data.attributes.stock_movement_id);
@@ -72,6 +88,9 @@ export const handler = async (event) => {
     } catch (error) {
         console.error('Error handling webhook event:', error);
         return createResponse('Error handling webhook event', 500);
+    } finally {
+        console.log('Infraspeak API usage this run:', getInfraspeakRequestStats());
+        endDryRun();
     }
 };
 
@@ -92,7 +111,7 @@ const processOdooData = async (stockOdoo, productsOdoo, materialInfraspeak, ware
     }
 
     // Create a Map for materials using their product reference code (fast lookup)
-    const materialMap = new Map(materialInfraspeak.map(material => [material.attributes?.code, material.id]));
+    const materialMap = new Map(materialInfraspeak.map(material => [material.attributes?.code, material]));
     
     // Iterate through stockOdoo and retrieve product, material, and warehouse details
     for (let stock of stockOdoo) {
@@ -102,8 +121,9 @@ const processOdooData = async (stockOdoo, productsOdoo, materialInfraspeak, ware
         const productReferenceString = stock.product_id[1];
         const productReferenceCode = productReferenceString.match(/\[(.*?)\]/)[1];
 
-        const materialId = materialMap.get(productReferenceCode);
-        if (!materialId) continue;
+        const material = materialMap.get(productReferenceCode);
+        if (!material) continue;
+        const materialId = material.id;
 
         // Perform partial matching for warehouse full_code using .includes()
         const warehouseCode = stock.warehouse_id ? stock.warehouse_id[1].toLowerCase() : null;
@@ -111,13 +131,23 @@ const processOdooData = async (stockOdoo, productsOdoo, materialInfraspeak, ware
             warehouse.attributes.full_code.toLowerCase().includes(warehouseCode)
         );
         if (!warehouseDetails) continue;
+
+        // Odoo counts in the product's unit of measure, Infraspeak in the material's unit
+        let materialUomId;
+        try {
+            materialUomId = getOdooUomForUnit(material.attributes?.units);
+        } catch (error) {
+            console.warn(`Skipping material ${productReferenceCode}: ${error.message}`);
+            continue;
+        }
+        const productUomId = product.uom_id[0];
   
         result.push({
             MaterialId: parseInt(materialId, 10),
-            StandardCost: product.standard_price,
-            AverageCost: product.avg_cost,
+            StandardCost: convertUnitPrice(product.standard_price, productUomId, materialUomId),
+            AverageCost: convertUnitPrice(product.avg_cost, productUomId, materialUomId),
             WarehouseId: warehouseDetails.attributes.warehouse_id,
-            AvailableQty: stock.quantity
+            AvailableQty: convertQuantity(stock.quantity, productUomId, materialUomId)
         });
         
     }
@@ -181,7 +211,7 @@ const getMaterialQuantitiesFromInfraspeak = async (warehouseQuantitiesInfraspeak
         // Iterate over quantities to check if the material exists in the warehouse
         for (let qty of warehouseQuantitiesInfraspeak) {
             if (qty.attributes?.material_id === materialId && qty.attributes?.warehouse_id === warehouseId) {
-                quantity = parseInt(qty.attributes?.stock_quantity, 10);
+                quantity = Number(qty.attributes?.stock_quantity);
                 //console.log(`Found stock: ${quantity} for material ${materialId} in warehouse ${warehouseId}`);
                 return quantity;
             }
@@ -287,12 +317,13 @@ const stockMovementPayloadConsume = (materialId, quantity, warehouseId, averageC
 });
 
 
-// Create a return response
+// Create a return response. A dry run also returns the plan of writes it skipped
 const createResponse = (message, statusCode = 200) => {
     return {
         statusCode: statusCode,
         body: JSON.stringify({
             message: message,
+            ...(isDryRun() && { dryRun: true, plan: getDryRunPlan() }),
         }),
     };
 };
@@ -324,151 +355,11 @@ const fetchProductsOdoo = async () => {
         method: "search_read",
         args: [],
         kwargs: {
-            fields: ["code", "name", "standard_price", "avg_cost", "free_qty", "stock_quant_ids"],
+            fields: ["code", "name", "standard_price", "avg_cost", "free_qty", "stock_quant_ids", "uom_id"],
             domain: [["stock_quant_ids", "!=", false]],
         }
     };
-    const response = await fetchRequestPaginateOdoo(endpoint, params);
+    const response = await fetchRequestPaginateOdoo(endpoint, params, 500);
     return response;
 };
 
-
-// Function to fetch all products from Infraspeak
-const fetchRequestInfraspeak = async (endpoint, method, body = null) => {
-    const url = `https://api.infraspeak.com/v3/${endpoint}`;
-    //const url = `https://api.sandbox.infraspeak.com/v3/${endpoint}`;
-
-    try {
-        const response = await fetch(url, {
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${INFRASPEAK_API_KEY}`,
-                'Content-Type': 'application/json',
-                'User-Agent': 'InfraspeakToUnleashedStockLevels (splk.sandbox@infraspeak.com)'
-            },
-            body: body ? JSON.stringify(body) : undefined
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.json();
-    }catch (error) {
-        console.error(`Error ${method}ing to Infraspeak:`, error);
-        throw error;
-    }
-};
-
-
-// Function to handle pagination and fetch all items
-const fetchRequestPaginateOdoo = async (endpoint, params) => {
-    let allResults = [];
-    let limit = 500;
-    let offset = 0;
-    let moreProducts = true;
-
-    while (moreProducts) {
-        const currentBatch = await fetchRequestOdooPage(endpoint, params, limit, offset);
-        if (currentBatch && currentBatch.length > 0) {
-            allResults = allResults.concat(currentBatch);
-            offset += limit;
-        } else {
-            moreProducts = false;
-        }
-    }
-    return allResults;
-};
-
-
-// Function to handle one page
-const fetchRequestOdooPage = async (endpoint, params, limit, offset) => {
-    params.kwargs.limit = limit;
-    params.kwargs.offset = offset;
-    
-    const body = {
-        jsonrpc: "2.0",
-        method: "call",
-        params: params,
-        id: Math.floor(Math.random() * 1000)
-    };
-    
-    try {
-        const response = await fetchRequestOdoo(endpoint, body);
-
-        if (response && response.result && response.result.length > 0) {
-            return response.result;
-        } else {
-            return [];
-        }
-    } catch (error) {
-        console.error('Error fetching products:', error);
-    }
-};
-
-
-// Fetch request to Odoo
-const fetchRequestOdoo = async (endpoint, body) => {
-    try {
-        const baseUrl = `https://${ODOO_ACCOUNT}.odoo.com`;
-        const sessionId = await authenticateOdoo(baseUrl);
-
-        const response = await fetch(`${baseUrl}${endpoint}`, {
-            method: "POST",
-            headers: {
-                'Content-Type': 'application/json',
-                'cookie': `session_id=${sessionId}`,
-            },
-            body: JSON.stringify(body) 
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('HTTP Error:', response.status, errorText);
-            throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error:', error);
-    }
-};
-
-
-// Function to authenicate Odoo account
-const authenticateOdoo = async (baseUrl) => {
-    const endpoint = '/web/session/authenticate';
-    
-    const response = await fetch(`${baseUrl}${endpoint}`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${ODOO_API_KEY}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-            jsonrpc: "2.0",
-            method: "call",
-            params: {
-                db: ODOO_DB,
-                login: ODOO_LOGIN,
-                password: ODOO_PASSWORD
-            },
-            id: Math.floor(Math.random() * 1000)
-        })
-    });
-
-    if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    if (data.error) {
-        throw new Error(`Authentication error: ${data.error.message}`);
-    }
-    
-    // Extract session ID from the Set-Cookie header if available
-    const cookies = response.headers.get('Set-Cookie');
-    const sessionIdMatch = cookies && cookies.match(/session_id=([^;]*)/);
-    const sessionId = sessionIdMatch ? sessionIdMatch[1] : null;
-
-    return sessionId;
-};
@@ -1,20 +1,77 @@
-/* Function triggered by Work Order Completed Webhook. Obtains Work Order labour costs and posts to Odoo Accounting  */
+/* Function triggered by Work Order Completed Webhook. Obtains Work Order labour costs and posts to Odoo Accounting.
+   A posted order seen again is revised instead: a changed cost center gets a reclassification journal, a
+   changed labour cost a journal for the difference, and a reopened order takes its labour cost back.
+   Labour can also be kept as timesheets, and the labour_rates config item adds burden and overhead.
+   A scheduled { action: "poll" } event revises the posted orders updated since the last poll, as editing an
+   order's cost center or labour fires no webhook delivery.
+   Deliveries are authenticated and validated by WebhookVerification.js before anything is read or posted  */
 
-/* global fetch */
 import { SecretsManagerClient, GetSecretValueCommand } from '@aws-sdk/client-secrets-manager';
 import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
 import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from "@aws-sdk/lib-dynamodb";
-
-const SECRET_ID = 'odooSpeak/credentials';
-const secretsManager = new SecretsManagerClient({ region: 'eu-west-2' });
-const client = new DynamoDBClient({ region: "eu-west-2" });
-const dynamoDb = DynamoDBDocumentClient.from(client);
-const tableName = "odooSpeakWebhook";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { configureOdoo, fetchRequestOdoo, createOdooRecordOnce } from './OdooClient.js';
+import { resolveOdooMapping, resolveEmployees } from './OdooMapping.js';
+import { getConfigItem } from './ConfigStore.js';
+import { getInfraspeakCostCenters, findInfraspeakCostCenter, resolveOdooCostCenter, analyticFields, isSameCostCenter, postCostCenterReclassification, costCenterMode } from './CostCenters.js';
+import { configureInfraspeak, fetchRequestInfraspeak, resetInfraspeakRequestStats, getInfraspeakRequestStats } from './InfraspeakClient.js';
+import { profile, awsClientConfig, resolveOdooBaseUrl } from './Environment.js';
+import { setDryRun, endDryRun, isDryRun, getDryRunPlan, recordWrite, guardDynamoWrites } from './DryRun.js';
+import { verifyWebhook, WebhookVerificationError } from './WebhookVerification.js';
+
+const SECRET_ID = profile.secretId;
+const secretsManager = new SecretsManagerClient(awsClientConfig);
+const client = new DynamoDBClient(awsClientConfig);
+const dynamoDb = guardDynamoWrites(DynamoDBDocumentClient.from(client));
+const tableName = profile.tables.webhook;
+const configTableName = profile.tables.config;
+
+// Config item holding the date_updated high-water mark of the order poll
+const SYNC_CURSOR_ID = 'labour_orders_sync_cursor';
+
+// Global secondary index on the webhook table. Orders whose revision failed in a poll carry
+// revision_status = "FAILED" until a later poll revises them
+const REVISION_INDEX = 'revision_status-index';
+
+// Odoo journal and account IDs, resolved from the odoo_mapping config at cold start
+const MAPPING_KEYS = ['labourJournal', 'salariesAccount'];
+let odooMapping;
+
+// Order type of each Infraspeak resource type the webhook is subscribed to. The data.type values are the
+// profile's webhookTypes, so they can be set to what the Infraspeak account delivers without a code change
+const ORDER_TYPES = {
+    [profile.webhookTypes.failure]: "Work Order",
+    [profile.webhookTypes.plannedOrder]: "Planned Order"
+};
 
-// Odoo hardcoded data
-const accountJournalId = 16; // Journal name: Inventory Valuation
-const accountIdSalaries = 182; // Account name: Inventories Code 13100
+if (Object.keys(ORDER_TYPES).length !== 2 || !profile.webhookTypes.failure || !profile.webhookTypes.plannedOrder) {
+    throw new Error(`Webhook types must be two distinct values, got failure "${profile.webhookTypes.failure}" and planned order "${profile.webhookTypes.plannedOrder}"`);
+}
+
+// Optional config item adding a burden on top of manpower_cost, by operator, skill or team, and an overhead
+// percentage, e.g. { burdenRates: { operators: { "77": 35 }, skills: { "5": 30 }, teams: { "12": 25 },
+// default: 20 }, overheadPercent: 10 }. Rates are percentages of the labour cost. The burden posts to the
+// cost center against the overheadAbsorptionAccount, and the rates used are kept in the order's labour_burden
+const LABOUR_RATES_CONFIG_ID = 'labour_rates';
+let labourRates;
+
+// How labour is broken down besides the labour journal:
+//   none       - the journal carries the order's manpower_cost on the cost center
+//   timesheets - each operator's time entries are also posted as timesheets on the cost center's analytic
+//                account. The journal then leaves the analytic account off the labour lines, so the cost is not
+//                counted twice. Burden and overhead lines keep it, as no timesheet carries them
+const LABOUR_BREAKDOWNS = ['none', 'timesheets'];
+const labourBreakdown = profile.labourBreakdown;
+
+// Odoo project per analytic account, as Odoo only treats analytic lines with a project as timesheets
+const projectsByAnalyticAccount = new Map();
+
+if (!LABOUR_BREAKDOWNS.includes(labourBreakdown)) {
+    throw new Error(`Unknown labour breakdown "${labourBreakdown}". Expected one of: ${LABOUR_BREAKDOWNS.join(', ')}`);
+}
+if (labourBreakdown === 'timesheets' && costCenterMode !== 'analytic') {
+    throw new Error('The timesheets labour breakdown posts to analytic accounts. Use the analytic cost center mode');
+}
 
 let secretsCache = null;
 
@@ -29,31 +86,41 @@ const getSecrets = async () => {
 };
 
 let secretsInitialized = false;
-let INFRASPEAK_API_KEY, INFRASPEAK_EMAIL, ODOO_API_KEY, ODOO_DB, ODOO_LOGIN, ODOO_PASSWORD, ODOO_ACCOUNT;
+let webhookSecret = null;
 
 // Initialise secrets globally
 const initializeSecrets = async () => {
     if (!secretsInitialized) {
         const secrets = await getSecrets();
-        INFRASPEAK_API_KEY = secrets.INFRASPEAK_API_KEY;
-        INFRASPEAK_EMAIL = secrets.INFRASPEAK_EMAIL;
-        ODOO_API_KEY = secrets.ODOO_API_KEY;
-        ODOO_DB = secrets.ODOO_DB;
-        ODOO_LOGIN = secrets.ODOO_LOGIN;
-        ODOO_PASSWORD = secrets.ODOO_PASSWORD;
-        ODOO_ACCOUNT = secrets.ODOO_ACCOUNT;
+        configureInfraspeak({
+            baseUrl: profile.infraspeakBaseUrl,
+            apiKey: secrets.INFRASPEAK_API_KEY,
+            userAgent: `OdooSpeak (${secrets.INFRASPEAK_EMAIL})`
+        });
+        configureOdoo({
+            baseUrl: resolveOdooBaseUrl(secrets),
+            db: secrets.ODOO_DB,
+            login: secrets.ODOO_LOGIN,
+            password: secrets.ODOO_PASSWORD,
+            apiKey: secrets.ODOO_API_KEY
+        });
+        webhookSecret = secrets.INFRASPEAK_WEBHOOK_SECRET || null;
         secretsInitialized = true;
     }
 };
 
-const snsClient = new SNSClient({ region: 'eu-west-2' });
+const snsClient = new SNSClient(awsClientConfig);
 
 const notifyError = async (errorMessage) => {
     const params = {
         Message: errorMessage,
         Subject: "Odoo Integration Error",
-        TopicArn: "arn:aws:sns:eu-west-2:891377393286:OdooSpeakNotification",
+        TopicArn: profile.snsTopicArn,
     };
+    if (isDryRun()) {
+        recordWrite('sns', 'Publish', params);
+        return;
+    }
     try {
         await snsClient.send(new PublishCommand(params));
         console.log('Error notification sent.');
@@ -67,50 +134,48 @@ let completedDate;
 
 // Event handler
 export const handler = async (event) => {
+    setDryRun(event?.dryRun === true);
     await initializeSecrets();
+    resetInfraspeakRequestStats();
+
+    // A scheduled poll revises posted orders instead of handling a delivery
+    if (event?.action === "poll") {
+        try {
+            return await pollUpdatedOrders();
+        } catch (error) {
+            console.error('Error polling updated orders:', error);
+            await notifyError(`Labour revision of updated orders failed: ${error.message}`);
+            return createResponse(`Error polling updated orders: ${error.message}`, 500);
+        } finally {
+            console.log('Infraspeak API usage this run:', getInfraspeakRequestStats());
+            endDryRun();
+        }
+    }
 
-    const parsedBody = JSON.parse(event.body);    
+    // Reject forged, replayed or malformed deliveries without touching Infraspeak or Odoo
+    let parsedBody;
+    try {
+        parsedBody = verifyWebhook(event, webhookSecret, { types: Object.keys(ORDER_TYPES), authenticate: !isDryRun() });
+    } catch (error) {
+        const statusCode = error instanceof WebhookVerificationError ? error.statusCode : 500;
+        (statusCode === 500 ? console.error : console.warn)(`Rejected webhook delivery: ${error.message}`);
+        const response = createResponse(error.message, statusCode);
+        endDryRun();
+        return response;
+    }
     const { id: orderId, type } = parsedBody.data;
 
-    const isWorkOrder = type === "failures";
-    const orderType = isWorkOrder ? "Work Order" : "Planned Order";
+    const orderType = ORDER_TYPES[type];
 
     // const orderType = "Work Order"
     // const orderId = 686577 //9875096 // 
 
     try {
-        // Step 1: fetch Infraspeak data from work/planned order number, Odoo Cost Center and Stock data
-        const [infraspeakData, costCenters] = await Promise.all([
-            getInfraspeakData(orderId, orderType),
-            getCostCentersInfraspeak()
-        ]);
-
-        const { completed_by_id: completed_by, completed_date } = infraspeakData.data.attributes;
-        completedBy = completed_by;
-        completedDate = completed_date;
-
-        // Step 2: Check if order has been posted to Dynamo
-        const isOnDynamo = await checkOrderInDynamo(orderId);
-
-        if (isOnDynamo){
-            console.log(`Order ${orderId} has been posted to Odoo already with account.move id ${isOnDynamo}`);
-            throw new Error(`Order ${orderId} has been posted to Odoo already with account move id ${isOnDynamo}`);
-        }
- 
-        // Step 3: Process Infraspeak data - create list of material
-        const processedWorkOrder = await processWorkOrder(infraspeakData, costCenters, orderId);
-        
-        // Step 4: Post Inventory and Accounting data to Odoo
-        const odooResponse = await postToOdoo(processedWorkOrder, orderType, orderId);
-
-        if (odooResponse){
-            console.log(`Successfully posted ${orderType} Id ${orderId} to Odoo.`);
-            return createResponse(`Successfully posted ${orderType} Id ${orderId} to Odoo.`, 200);
-        }
-        else{
-            console.log(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
-            throw new Error(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
-        }
+        // Step 0: resolve and validate Odoo journal and account mapping
+        await loadLabourConfig();
+
+        const message = await processOrder(orderId, orderType);
+        return createResponse(message, 200);
 
     } catch (error) {
         const userDetails = await getUserDetails(completedBy);
@@ -118,11 +183,234 @@ export const handler = async (event) => {
         const emailContent = `Error: ${error.message}\n\nUser name: ${userDetails.name}\nUser email: ${userDetails.email}\nCompleted date: ${completedDate}`;
         await notifyError(emailContent);
         return createResponse(`Error handling webhook event: ${error.message}`, 500);
+    } finally {
+        console.log('Infraspeak API usage this run:', getInfraspeakRequestStats());
+        endDryRun();
+    }
+};
+
+
+// Read labour_rates and resolve the Odoo mapping. Burden needs the absorption account
+const loadLabourConfig = async () => {
+    labourRates = await getConfigItem(LABOUR_RATES_CONFIG_ID, { optional: true });
+    odooMapping = await resolveOdooMapping(labourRates ? [...MAPPING_KEYS, 'overheadAbsorptionAccount'] : MAPPING_KEYS);
+};
+
+
+// Post a completed order's labour cost, or revise a posted order. Returns the outcome message
+const processOrder = async (orderId, orderType, costCenters = null) => {
+    // Step 1: fetch Infraspeak data from work/planned order number, Odoo Cost Center and Stock data
+    const [infraspeakData, orderCostCenters] = await Promise.all([
+        getInfraspeakData(orderId, orderType),
+        costCenters || getInfraspeakCostCenters()
+    ]);
+
+    const { completed_by_id: completed_by, completed_date } = infraspeakData.data.attributes;
+    completedBy = completed_by;
+    completedDate = completed_date;
+
+    // Step 2: Check if order has been posted to Dynamo
+    const postedOrder = await checkOrderInDynamo(orderId);
+
+    // A reopened order has no completed_date and takes all of its labour cost back
+    const reason = completed_date ? "completed" : "reopened";
+
+    // Step 2.1: fetch the operators' time entries once for burden rates and timesheets
+    const timeEntries = reason === "completed" && needsTimeEntries() ? await getInfraspeakTimeEntries(orderId, orderType) : [];
+
+    // Step 3: Process Infraspeak data - create list of material
+    const processedWorkOrder = await processWorkOrder(infraspeakData, orderCostCenters, orderId, timeEntries);
+
+    // Step 3.1: keep each operator's time in step with Infraspeak as timesheets. A reopened order has none
+    if (labourBreakdown === "timesheets") {
+        await syncTimesheets(orderId, orderType, processedWorkOrder, timeEntries);
+    }
+
+    // Step 3.2: a posted order moves to a changed cost center, then posts the change in labour cost
+    if (postedOrder){
+        const reclassified = await reclassifyPostedOrder(postedOrder, processedWorkOrder, orderType, orderId);
+        const revision = await reviseLabourCost(postedOrder, processedWorkOrder, orderType, orderId, reason);
+        if (!reclassified && !revision) {
+            console.log(`Order ${orderId} has been posted to Odoo already with account.move id ${postedOrder.posted_to_odoo}`);
+            return `${orderType} Id ${orderId} is already posted to Odoo with its current labour cost.`;
+        }
+        return `Revised ${orderType} Id ${orderId} in Odoo.`;
+    }
+    if (reason === "reopened") {
+        return `${orderType} Id ${orderId} is not completed and was never posted. Nothing to post.`;
+    }
+
+    // Step 4: Post Inventory and Accounting data to Odoo
+    const odooResponse = await postToOdoo(processedWorkOrder, orderType, orderId);
+
+    if (odooResponse){
+        console.log(`Successfully posted ${orderType} Id ${orderId} to Odoo.`);
+        return `Successfully posted ${orderType} Id ${orderId} to Odoo.`;
+    }
+    else{
+        console.log(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
+        throw new Error(`Posting to Odoo unsuccessful. Odoo API Response: ${odooResponse}`);
+    }
+};
+
+
+// Revise the posted orders updated since the last poll, and retry those whose revision failed before. The
+// first poll starts the cursor now, as earlier changes were delivered by webhook. A failure is recorded on
+// the order and the cursor moves on regardless. Only a new failure is notified, and revisions are keyed per
+// change, so a retried order is not revised twice
+const pollUpdatedOrders = async () => {
+    await loadLabourConfig();
+    const cursor = await getSyncCursor();
+    if (!cursor) {
+        await saveSyncCursor(null, [{ attributes: { date_updated: new Date().toISOString() } }]);
+        return createResponse('Order poll started. Orders updated from now on are revised.', 200);
+    }
+    const [failures, scheduledWorks, failedOrders] = await Promise.all([
+        getInfraspeakPages('failures', cursor),
+        getInfraspeakPages('works/scheduled', cursor),
+        getOrdersFailedRevision()
+    ]);
+
+    // The webhook table is keyed by order ID alone
+    const orders = new Map();
+    failedOrders.forEach(order => orders.set(String(order.order_id), order.order_type));
+    failures.forEach(order => orders.set(String(order.id), "Work Order"));
+    scheduledWorks.forEach(order => orders.set(String(order.id), "Planned Order"));
+
+    let costCenters;
+    let revised = 0;
+    const errors = [];
+    for (const [orderId, orderType] of orders) {
+        let postedOrder = null;
+        try {
+            postedOrder = await checkOrderInDynamo(orderId);
+            if (!postedOrder) {
+                continue;
+            }
+            costCenters = costCenters || await getInfraspeakCostCenters();
+            console.log(await processOrder(orderId, orderType, costCenters));
+            await markOrderRevised(postedOrder);
+            revised++;
+        } catch (error) {
+            console.error(`Error revising ${orderType} ${orderId}:`, error);
+            await markOrderRevisionFailed(orderId, orderType, error.message);
+            if (postedOrder?.revision_status !== "FAILED") {
+                errors.push(`${orderType} ${orderId}: ${error.message}`);
+            }
+        }
+    }
+
+    await saveSyncCursor(cursor, [...failures, ...scheduledWorks]);
+    if (errors.length) {
+        await notifyError(`Labour revision failed, retried on the next polls:\n${errors.join('\n')}`);
+    }
+    return createResponse(`Checked ${revised} posted order(s) of ${orders.size} updated. ${errors.length} new failure(s).`, 200);
+};
+
+
+// Get the date_updated high-water mark of the last poll
+const getSyncCursor = async () => {
+    const params = {
+        TableName: configTableName,
+        Key: { config_id: SYNC_CURSOR_ID }
+    };
+    const { Item } = await dynamoDb.send(new GetCommand(params));
+    return Item?.date_updated || null;
+};
+
+
+// Save the newest date_updated seen, never moving the cursor backwards
+const saveSyncCursor = async (cursor, orders) => {
+    const newest = orders
+        .map(order => order.attributes.date_updated)
+        .filter(Boolean)
+        .reduce((latest, date) => (!latest || Date.parse(date) > Date.parse(latest) ? date : latest), cursor);
+
+    if (!newest || newest === cursor) {
+        return;
+    }
+    const params = {
+        TableName: configTableName,
+        Item: { config_id: SYNC_CURSOR_ID, date_updated: newest }
+    };
+    await dynamoDb.send(new PutCommand(params));
+    console.log(`Sync cursor ${SYNC_CURSOR_ID} moved to ${newest}`);
+};
+
+
+// Get all posted orders whose revision failed in a poll
+const getOrdersFailedRevision = async () => {
+    const params = {
+        TableName: tableName,
+        IndexName: REVISION_INDEX,
+        KeyConditionExpression: "#revision_status = :revision_status",
+        ExpressionAttributeNames: {
+            "#revision_status": "revision_status"
+        },
+        ExpressionAttributeValues: {
+            ":revision_status": "FAILED"
+        }
+    };
+    let items = [];
+    let exclusiveStartKey;
+    do {
+        const { Items, LastEvaluatedKey } = await dynamoDb.send(new QueryCommand({ ...params, ExclusiveStartKey: exclusiveStartKey }));
+        items = items.concat(Items || []);
+        exclusiveStartKey = LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    return items;
+};
+
+
+// Clear a revision failure from a posted order
+const markOrderRevised = async (postedOrder) => {
+    if (!postedOrder.revision_status) {
+        return;
     }
+    const params = {
+        TableName: tableName,
+        Key: { order_id: String(postedOrder.order_id) },
+        UpdateExpression: "REMOVE #revision_status, #revision_error",
+        ExpressionAttributeNames: {
+            "#revision_status": "revision_status",
+            "#revision_error": "revision_error",
+        }
+    };
+    await dynamoDb.send(new UpdateCommand(params));
 };
 
 
-// Check if already posted, return id number if yes.
+// Record a failed revision on a posted order, so the next poll retries it
+const markOrderRevisionFailed = async (orderId, orderType, errorMessage) => {
+    const params = {
+        TableName: tableName,
+        Key: { order_id: String(orderId) },
+        UpdateExpression: "SET #revision_status = :failed, #revision_error = :error, #order_type = :order_type, #revision_attempts = if_not_exists(#revision_attempts, :zero) + :one",
+        ConditionExpression: "attribute_exists(#posted_to_odoo)",
+        ExpressionAttributeNames: {
+            "#revision_status": "revision_status",
+            "#revision_error": "revision_error",
+            "#order_type": "order_type",
+            "#revision_attempts": "revision_attempts",
+            "#posted_to_odoo": "posted_to_odoo",
+        },
+        ExpressionAttributeValues: {
+            ":failed": "FAILED",
+            ":error": errorMessage,
+            ":order_type": orderType,
+            ":zero": 0,
+            ":one": 1,
+        }
+    };
+    try {
+        await dynamoDb.send(new UpdateCommand(params));
+    } catch (error) {
+        console.error(`Error recording the failed revision of order ${orderId}:`, error);
+    }
+};
+
+
+// Check if already posted, return the posted order if yes.
 const checkOrderInDynamo = async (orderId) => {
     try {
         const params = {
@@ -133,7 +421,7 @@ const checkOrderInDynamo = async (orderId) => {
         const data = await dynamoDb.send(new GetCommand(params));
 
         if (data.Item && data.Item.posted_to_odoo) {
-            return data.Item.posted_to_odoo;
+            return data.Item;
         } else {
             return null;
         }
@@ -145,43 +433,88 @@ const checkOrderInDynamo = async (orderId) => {
 
 
 // Function to process Infraspeak data and return list of stock movement
-const processWorkOrder = async (infraspeakData, costCenters, workOrderId) => {
+const processWorkOrder = async (infraspeakData, costCenters, workOrderId, timeEntries) => {
     if (!infraspeakData || !infraspeakData.data) {
         throw new Error('Invalid response structure from Infraspeak API.');
     }
     try {
         // Extract relevant attributes from infraspeakData
-        const {
-            manpower_cost: manpowerCostRaw = 0,
-            cost_center_id: costCenterId = null,
-            cost_center_name: costCenterName = null,
-        } = infraspeakData.data.attributes;
+        const { manpower_cost: manpowerCostRaw = 0 } = infraspeakData.data.attributes;
 
         const manpowerCost = parseFloat(manpowerCostRaw);
-        let costCenterCode;
-        
-        if (costCenterId) {
-            const result = costCenters.find(costCenter => costCenter.id === costCenterId.toString());
-            costCenterCode = result.code;
-        }
-        if (costCenterName) {
-            const result = costCenters.find(costCenter => costCenter.name === costCenterName);
-            costCenterCode = result.code;
-        }
-        const costCenter = await getOdooCostCenterId(costCenterCode);
+        const infraspeakCostCenter = findInfraspeakCostCenter(infraspeakData.data.attributes, costCenters);
+        const { accountId: costCenter, analyticDistribution } = await resolveOdooCostCenter(infraspeakCostCenter, 'labour');
+        const burden = calculateLabourBurden(manpowerCost, timeEntries);
 
+        // Timesheets carry the analytic labour cost by operator, so the labour lines leave the analytic account out
         return {
             workOrderId,
             manpowerCost,
+            burden,
             costCenter,
+            analyticDistribution,
+            labourAnalyticDistribution: labourBreakdown === "timesheets" ? null : analyticDistribution,
+            analyticAccountId: analyticDistribution ? Number(Object.keys(analyticDistribution)[0]) : null,
         };
     } catch (error) {
-        console.error('Error preparing material data:', error);
-        throw new Error('Error preparing material data:', error);
+        console.error('Error preparing labour data:', error);
+        throw new Error(`Error preparing labour data: ${error.message}`);
+    }
+};
+
+
+// Time entries are needed for timesheets, and for burden rates that tell operators, skills and teams apart
+const needsTimeEntries = () => {
+    const burdenRates = labourRates?.burdenRates || {};
+    return labourBreakdown === "timesheets"
+        || ['operators', 'skills', 'teams'].some(table => Object.keys(burdenRates[table] || {}).length);
+};
+
+
+// Burden on top of the labour cost: each operator's time entries at the rate of the operator, their skill
+// or their team, cost not on a time entry at the default rate, and the overhead percentage on all of it.
+// Null when no labour_rates are configured
+const calculateLabourBurden = (manpowerCost, entries) => {
+    if (!labourRates) {
+        return null;
+    }
+    const { burdenRates = {}, overheadPercent = 0 } = labourRates;
+    const defaultRate = Number(burdenRates.default || 0);
+
+    const rates = entries.map(entry => ({ operator_id: entry.operatorId, cost: entry.cost, ...findBurdenRate(burdenRates, entry) }));
+    const unassignedCost = roundAmount(manpowerCost - entries.reduce((total, entry) => total + entry.cost, 0));
+    if (unassignedCost !== 0) {
+        rates.push({ operator_id: null, cost: unassignedCost, rate: defaultRate, source: 'default' });
     }
+
+    const burdenAmount = roundAmount(rates.reduce((total, rate) => total + rate.cost * rate.rate / 100, 0));
+    const overheadAmount = roundAmount(manpowerCost * Number(overheadPercent) / 100);
+    return {
+        rates,
+        overhead_percent: Number(overheadPercent),
+        burden: burdenAmount,
+        overhead: overheadAmount,
+        amount: roundAmount(burdenAmount + overheadAmount)
+    };
 };
 
 
+// Burden rate of a time entry, from the most specific table that lists it
+const findBurdenRate = (burdenRates, entry) => {
+    const candidates = [['operators', entry.operatorId], ['skills', entry.skillId], ['teams', entry.teamId]];
+    for (const [table, id] of candidates) {
+        const rate = id != null ? burdenRates[table]?.[String(id)] : undefined;
+        if (rate != null) {
+            return { rate: Number(rate), source: table };
+        }
+    }
+    return { rate: Number(burdenRates.default || 0), source: 'default' };
+};
+
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+
 // Post to Odoo Accounting
 const postToOdoo = async (accountingData, orderType, orderId) => {
     try {
@@ -193,7 +526,7 @@ const postToOdoo = async (accountingData, orderType, orderId) => {
         }
 
         // Update DynamoDB with Odoo response
-        const responseDynamo = await addedToDynamo(orderId, responseAccounting.result);
+        const responseDynamo = await addedToDynamo(orderId, responseAccounting.result, accountingData);
 
         if (!responseDynamo) {
             throw new Error("Failed to update DynamoDB with Odoo response.");
@@ -210,298 +543,501 @@ const postToOdoo = async (accountingData, orderType, orderId) => {
 
 
 // Update Dynamo with work order after successfully posting to odoo
-const addedToDynamo = async (orderId, moveId) => {
+const addedToDynamo = async (orderId, moveId, accountingData) => {
     const params = {
         TableName: tableName,
         Key: { order_id: String(orderId) },
-        UpdateExpression: "SET #posted_to_odoo = :posted_to_odoo, #completed_by = :completed_by, #completed_date = :completed_date",
+        UpdateExpression: "SET #posted_to_odoo = :posted_to_odoo, #completed_by = :completed_by, #completed_date = :completed_date, #cost_center_odoo = :cost_center_odoo, #cost_center_analytic = :cost_center_analytic, #labour_burden = :labour_burden",
         ExpressionAttributeNames: {
             "#posted_to_odoo": "posted_to_odoo",
             "#completed_by": "completed_by",
             "#completed_date": "completed_date",
+            "#cost_center_odoo": "cost_center_odoo",
+            "#cost_center_analytic": "cost_center_analytic",
+            "#labour_burden": "labour_burden",
         },
         ExpressionAttributeValues: {
             ":posted_to_odoo": String(moveId),
             ":completed_by": completedBy,
             ":completed_date": completedDate,
+            ":cost_center_odoo": accountingData.costCenter,
+            ":cost_center_analytic": accountingData.analyticDistribution || null,
+            ":labour_burden": accountingData.burden,
         }
     };
     return await dynamoDb.send(new UpdateCommand(params));
 };
 
 
+// Move the labour cost of a posted order to its new cost center and append the change to the order's
+// cost_center_history. Returns false when the cost center is unchanged or was never recorded
+const reclassifyPostedOrder = async (postedOrder, accountingData, orderType, orderId) => {
+    if (!postedOrder.cost_center_odoo) {
+        console.log(`Order ${orderId} was posted before cost centers were recorded. Cannot detect a cost center change`);
+        return false;
+    }
+    const previous = { accountId: postedOrder.cost_center_odoo, analyticDistribution: postedOrder.cost_center_analytic || null };
+    const current = { accountId: accountingData.costCenter, analyticDistribution: accountingData.analyticDistribution || null };
+    if (isSameCostCenter(previous, current)) {
+        return false;
+    }
+
+    // The labour journal, its revisions and every earlier reclassification may hold amounts on the old
+    // cost center, burden lines included. With timesheets only the burden lines carry the analytic
+    // distribution, so only they match it and move. Orders recorded without one booked no line with it
+    const history = postedOrder.cost_center_history || [];
+    const revisions = postedOrder.labour_revisions || [];
+    const unmovable = labourBreakdown === "timesheets" && !previous.analyticDistribution;
+    if (unmovable) {
+        console.warn(`Order ${orderId} was posted without an analytic distribution. Its journals are not reclassified`);
+    }
+    const reclassificationId = unmovable ? null : await postCostCenterReclassification({
+        journalIds: [
+            Number(postedOrder.posted_to_odoo),
+            ...revisions.map(revision => revision.account_move_id),
+            ...history.map(change => change.account_move_id)
+        ].filter(Boolean),
+        from: previous,
+        to: current,
+        journalId: odooMapping.labourJournal,
+        workOrderId: String(orderId),
+        ref: `${orderType} ${orderId} - Labour cost center reclassification`,
+        idempotencyKey: `workorder/${orderId}/reclassification-${history.length + 1}`,
+        post: false
+    });
+
+    const params = {
+        TableName: tableName,
+        Key: { order_id: String(orderId) },
+        UpdateExpression: "SET #cost_center_odoo = :cost_center_odoo, #cost_center_analytic = :cost_center_analytic, #cost_center_history = list_append(if_not_exists(#cost_center_history, :empty), :change)",
+        ExpressionAttributeNames: {
+            "#cost_center_odoo": "cost_center_odoo",
+            "#cost_center_analytic": "cost_center_analytic",
+            "#cost_center_history": "cost_center_history",
+        },
+        ExpressionAttributeValues: {
+            ":cost_center_odoo": current.accountId,
+            ":cost_center_analytic": current.analyticDistribution,
+            ":empty": [],
+            ":change": [{
+                from_account: previous.accountId,
+                from_analytic: previous.analyticDistribution,
+                to_account: current.accountId,
+                to_analytic: current.analyticDistribution,
+                account_move_id: reclassificationId,
+                changed_at: new Date().toISOString()
+            }],
+        }
+    };
+    await dynamoDb.send(new UpdateCommand(params));
+    console.log(`Order ${orderId} moved from cost center ${previous.accountId} to ${current.accountId}`);
+    return true;
+};
+
+
 // Post journal entry to Odoo Accounting               
-const postOdooAccounting = async (accountingData, costCenterId, orderType) => {
-    const endpoint = '/web/dataset/call_kw/account.move/create';
+// Keyed by work order, so a retried webhook adopts a journal Odoo already accepted. A revision passes the
+// difference in labour cost and burden as amounts, with its own idempotencyKey and label. Negative amounts
+// take them back
+const postOdooAccounting = async (accountingData, costCenterId, orderType, {
+    amounts = { labour: parseFloat(accountingData.manpowerCost), burden: accountingData.burden?.amount || 0 },
+    idempotencyKey = `workorder/${accountingData.workOrderId}/labour`,
+    label = "Labour cost"
+} = {}) => {
     const lineItems = [];
-    let name;
+    const name = `${orderType} ${accountingData.workOrderId} - ${label}`;
+    const amount = amounts.labour;
 
-    // Conditionally add manpower cost lines if manpowerCost is greater than 0
-    if (parseFloat(accountingData.manpowerCost) > 0) {
-        name = `${orderType} ${accountingData.workOrderId} - Labour cost`
+    // Conditionally add manpower cost lines if there is a cost to post
+    if (amount !== 0) {
         lineItems.push(
             [0, 0, {  // Debit for manpower costs
                 account_id: costCenterId,  // Cost center or expense account
                 name: name,
-                debit: parseFloat(accountingData.manpowerCost),
+                debit: amount > 0 ? amount : 0,
+                credit: amount < 0 ? -amount : 0,
+                ...analyticFields(accountingData.labourAnalyticDistribution)
             }],
             [0, 0, {  // Credit for manpower costs
-                account_id: accountIdSalaries,
+                account_id: odooMapping.salariesAccount,
                 name: name,
-                credit: parseFloat(accountingData.manpowerCost)
+                debit: amount < 0 ? -amount : 0,
+                credit: amount > 0 ? amount : 0
             }]
         );
     }
-    const params = {
-            model: "account.move",
-            method: "create",
-            args: [{
-                ref: name,
-                move_type: "entry",
-                journal_id: accountJournalId,
-                line_ids: lineItems,
+
+    // Burden and overhead, absorbed from the overhead absorption account
+    if (amounts.burden) {
+        const burden = amounts.burden;
+        lineItems.push(
+            [0, 0, {
+                account_id: costCenterId,
+                name: `${name} - Burden and overhead`,
+                debit: burden > 0 ? burden : 0,
+                credit: burden < 0 ? -burden : 0,
+                ...analyticFields(accountingData.analyticDistribution)
             }],
-        kwargs: {}
-    };
-    const response = await fetchRequestOdoo(endpoint, params);
+            [0, 0, {
+                account_id: odooMapping.overheadAbsorptionAccount,
+                name: `${name} - Burden and overhead`,
+                debit: burden < 0 ? -burden : 0,
+                credit: burden > 0 ? burden : 0
+            }]
+        );
+    }
+    const response = await createOdooRecordOnce("account.move", {
+        ref: name,
+        move_type: "entry",
+        journal_id: odooMapping.labourJournal,
+        line_ids: lineItems,
+        x_work_order_id: String(accountingData.workOrderId),
+        x_idempotency_key: idempotencyKey,
+    });
     return response;
 };
 
 
-// Get user details if an error is thrown
-const getUserDetails = async (userId) => {
-    const endpoint = `users`;
-    try {
-        const response = await fetchRequestInfraspeak(endpoint, 'GET');
-        const { full_name, email } = response.data.operator;
-        return {name: full_name, email: email};
-    } catch (error) {
-        console.error('Error fetching user details Infraspeak:', error);
-        throw new Error('Error fetching user details Infraspeak', error);
+// Post the difference between the order's labour cost and burden and what its labour journals hold, and
+// append the revision to the order's labour_revisions. A reopened order takes all of it back. Returns the
+// revision, or null when Odoo already holds the current labour cost and burden
+const reviseLabourCost = async (postedOrder, accountingData, orderType, orderId, reason) => {
+    const revisions = postedOrder.labour_revisions || [];
+    const journalIds = [Number(postedOrder.posted_to_odoo), ...revisions.map(revision => revision.account_move_id)];
+    const { labour: postedCost, burden: postedBurden } = await fetchPostedLabourCost(journalIds);
+    const manpowerCost = reason === "reopened" ? 0 : accountingData.manpowerCost;
+    const burdenAmount = reason === "reopened" ? 0 : accountingData.burden?.amount || 0;
+    const difference = roundAmount(manpowerCost - postedCost);
+    const burdenDifference = roundAmount(burdenAmount - postedBurden);
+    if (difference === 0 && burdenDifference === 0) {
+        return null;
     }
-};
 
+    const number = revisions.length + 1;
+    const response = await postOdooAccounting(accountingData, accountingData.costCenter, orderType, {
+        amounts: { labour: difference, burden: burdenDifference },
+        idempotencyKey: `workorder/${orderId}/labour-revision-${number}`,
+        label: `Labour cost revision ${number} (${reason})`
+    });
+    if (!response || !response.result) {
+        throw new Error("Failed to post labour cost revision to Odoo Accounting.");
+    }
 
-// Create a return response
-const createResponse = (message, statusCode = 200) => {
-    return {
-        statusCode: statusCode,
-        body: JSON.stringify({
-            message: message,
-        }),
+    const revision = {
+        revision: number,
+        reason: reason,
+        manpower_cost: manpowerCost,
+        posted_before: postedCost,
+        difference: difference,
+        labour_burden: reason === "reopened" ? null : accountingData.burden,
+        burden_posted_before: postedBurden,
+        burden_difference: burdenDifference,
+        account_move_id: response.result,
+        recorded_at: new Date().toISOString()
     };
+    const params = {
+        TableName: tableName,
+        Key: { order_id: String(orderId) },
+        UpdateExpression: "SET #labour_revisions = list_append(if_not_exists(#labour_revisions, :empty), :revision), #completed_by = :completed_by, #completed_date = :completed_date",
+        ExpressionAttributeNames: {
+            "#labour_revisions": "labour_revisions",
+            "#completed_by": "completed_by",
+            "#completed_date": "completed_date",
+        },
+        ExpressionAttributeValues: {
+            ":empty": [],
+            ":revision": [revision],
+            ":completed_by": completedBy || null,
+            ":completed_date": completedDate || null,
+        }
+    };
+    await dynamoDb.send(new UpdateCommand(params));
+    console.log(`Order ${orderId} labour cost revised by ${difference} and burden by ${burdenDifference} (${reason}) with account.move id ${response.result}`);
+    return revision;
 };
 
 
-// Function to fetch data from Infraspeak based on workOrderId
-const getInfraspeakData = async (workOrderId, orderType) => {
-    let endpoint;
-    if(orderType === "Work Order"){
-        endpoint = `failures/${workOrderId}?expanded=stock.material,stockTasks.material`;
+// Create, update and remove the order's timesheets so there is one per Infraspeak time entry, on the
+// analytic account of the current cost center. A reopened order has no entries and removes them all
+const syncTimesheets = async (orderId, orderType, accountingData, entries) => {
+    const employees = await resolveEmployees();
+
+    // Check every operator is mapped before anything is written
+    const unmappedOperators = [...new Set(entries.filter(entry => !employees.has(entry.operatorId)).map(entry => `${entry.operatorName} (${entry.operatorId})`))];
+    if (unmappedOperators.length) {
+        throw new Error(`Infraspeak operator(s) not mapped to an Odoo employee: ${unmappedOperators.join(', ')}`);
     }
-    else{
-        endpoint = `works/scheduled/${workOrderId}?expanded=stock.material,stockTasks.material`;
+    const timesheetCost = Math.round(entries.reduce((total, entry) => total + entry.cost, 0) * 100) / 100;
+    if (entries.length && timesheetCost !== accountingData.manpowerCost) {
+        console.warn(`Order ${orderId} time entries cost ${timesheetCost}, but its manpower_cost is ${accountingData.manpowerCost}`);
     }
-    try {
-        const response = await fetchRequestInfraspeak(endpoint, 'GET');
-        return response;
-    } catch (error) {
-        console.error(`Error fetching Infraspeak ${orderType} data:`, error);
-        throw new Error(`Error fetching Infraspeak ${orderType} data: ${error.message}`);
-    }
-};
 
+    const projectId = entries.length ? await getTimesheetProject(accountingData.analyticAccountId) : null;
+    const existingLines = new Map((await fetchTimesheetLines(orderId)).map(line => [line.x_idempotency_key, line]));
+    const lineIds = [];
+    for (const entry of entries) {
+        const key = `workorder/${orderId}/timesheet/${entry.id}`;
+        const values = {
+            name: `${orderType} ${orderId} - ${entry.operatorName}`,
+            date: entry.date,
+            employee_id: employees.get(entry.operatorId),
+            project_id: projectId,
+            account_id: accountingData.analyticAccountId,
+            unit_amount: entry.hours,
+            amount: -entry.cost
+        };
+        const line = existingLines.get(key);
+        existingLines.delete(key);
 
-// Retrieve cost centers from Infraspeak
-const getCostCentersInfraspeak = async (orderType) => {
-    const endpoint = `cost-centers`;
-    try {
-        const response = await fetchRequestInfraspeak(endpoint, 'GET');
-        const result = response.data.map(item => ({
-            id: item.id,
-            name: item.attributes.name,
-            code: item.attributes.code
-        }));
-        return result;
-    } catch (error) {
-        console.error('Error fetching cost center Infraspeak:', error);
-        throw new Error(`Error fetching cost center Infraspeak. Ensure to select a cost center in the ${orderType}: ${error.message}`);
+        if (!line) {
+            const response = await createOdooRecordOnce("account.analytic.line", { ...values, x_work_order_id: String(orderId), x_idempotency_key: key });
+            lineIds.push(response.result);
+        } else {
+            if (isTimesheetChanged(line, values)) {
+                await callTimesheetMethod("write", [[line.id], values]);
+            }
+            lineIds.push(line.id);
+        }
     }
-};
 
+    // Time entries removed in Infraspeak
+    const removedIds = [...existingLines.values()].map(line => line.id);
+    if (removedIds.length) {
+        await callTimesheetMethod("unlink", [removedIds]);
+    }
 
-// Function to perform fetch request to Infraspeak
-const fetchRequestInfraspeak = async (endpoint, method) => {
-    const url = `https://api.infraspeak.com/v3/${endpoint}`;
-    //const url = `https://api.sandbox.infraspeak.com/v3/${endpoint}`;
+    const params = {
+        TableName: tableName,
+        Key: { order_id: String(orderId) },
+        UpdateExpression: "SET #timesheet_line_ids = :timesheet_line_ids",
+        ExpressionAttributeNames: {
+            "#timesheet_line_ids": "timesheet_line_ids",
+        },
+        ExpressionAttributeValues: {
+            ":timesheet_line_ids": lineIds,
+        }
+    };
+    await dynamoDb.send(new UpdateCommand(params));
+    console.log(`Order ${orderId} timesheets: ${lineIds.length} kept or created, ${removedIds.length} removed`);
+};
 
-    try {
-        const response = await fetch(url, {
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${INFRASPEAK_API_KEY}`,
-                'Content-Type': 'application/json',
-                'User-Agent': `OdooSpeak (${INFRASPEAK_EMAIL})`
-            }
-        });
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status} - ${response.statusText}`);
-        }
-        const data = await response.json();
-        return data;
-    } catch (error) {
-        console.error('Error with Infraspeak API request:', error);
-        throw new Error(`Error with Infraspeak API request: ${error.message}`);
-    }
+const isTimesheetChanged = (line, values) => {
+    return line.date !== values.date
+        || line.employee_id?.[0] !== values.employee_id
+        || line.project_id?.[0] !== values.project_id
+        || line.account_id?.[0] !== values.account_id
+        || line.unit_amount !== values.unit_amount
+        || line.amount !== values.amount;
 };
 
 
-// Fetch Cost Center Id from Odoo
-const getOdooCostCenterId = async (costCenter) => {
-    try{
-        const odooAccounts = await getOdooAccounts();
-        const odooAcccount_Id = odooAccounts.filter(({ code }) => code === costCenter);
-        const odooAccountId = odooAcccount_Id[0].id;
-        return odooAccountId;
-    }catch (error){
-        console.error("error fetching cost center id from Odoo");
-        throw new Error(`Error fetching cost center id from Odoo: ${error.message}`);
+// Odoo project whose analytic account is the cost center's. Exactly one must match, so time is never
+// booked against a guessed project
+const getTimesheetProject = async (analyticAccountId) => {
+    if (projectsByAnalyticAccount.has(analyticAccountId)) {
+        return projectsByAnalyticAccount.get(analyticAccountId);
+    }
+    const endpoint = '/web/dataset/call_kw/project.project/search_read';
+    const params = {
+        model: "project.project",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [["account_id", "=", analyticAccountId]],
+            fields: ["id", "name"]
+        }
+    };
+    const response = await fetchRequestOdoo(endpoint, params);
+    const projects = response.result || [];
+    if (projects.length !== 1) {
+        throw new Error(`Analytic account ${analyticAccountId} is used by ${projects.length} Odoo projects, expected exactly 1 to book timesheets to`);
     }
+    projectsByAnalyticAccount.set(analyticAccountId, projects[0].id);
+    return projects[0].id;
 };
 
 
-// Fetch all Odoo accounts
-const getOdooAccounts = async () => {
-    const endpoint = '/web/dataset/call_kw/account.account/search_read';
+// Timesheets posted for an order
+const fetchTimesheetLines = async (orderId) => {
+    const endpoint = '/web/dataset/call_kw/account.analytic.line/search_read';
     const params = {
-        model: "account.account",
+        model: "account.analytic.line",
         method: "search_read",
         args: [],
         kwargs: {
-            fields: ["id", "code","name"]
+            domain: [["x_work_order_id", "=", String(orderId)]],
+            fields: ["id", "x_idempotency_key", "date", "employee_id", "project_id", "account_id", "unit_amount", "amount"]
         }
     };
     try {
         const response = await fetchRequestOdoo(endpoint, params);
-        return response.result;
+        return response.result || [];
     } catch (error) {
-        console.error('Error fetching Odoo Accounts:', error);
-        throw new Error(`Error fetching Odoo Acounts:: ${error.message}`);
+        console.error('Error fetching timesheets from Odoo:', error);
+        throw new Error(`Error fetching timesheets from Odoo: ${error.message}`);
     }
 };
 
 
-// Function to handle pagination and fetch all items
-const fetchRequestPaginateOdoo = async (endpoint, params) => {
-    let allResults = [];
-    let limit = 100;
-    let offset = 0;
-    let moreProducts = true;
-
-    while (moreProducts) {
-        const currentBatch = await fetchRequestOdooPage(endpoint, params, limit, offset);
-        if (currentBatch && currentBatch.length > 0) {
-            allResults = allResults.concat(currentBatch);
-            offset += limit;
-        } else {
-            moreProducts = false;
-        }
+// Write or unlink timesheets
+const callTimesheetMethod = async (method, args) => {
+    try {
+        const response = await fetchRequestOdoo(`/web/dataset/call_kw/account.analytic.line/${method}`, {
+            model: "account.analytic.line",
+            method: method,
+            args: args,
+            kwargs: {}
+        });
+        return response.result;
+    } catch (error) {
+        console.error(`Error with timesheet ${method}:`, error);
+        throw new Error(`Error with timesheet ${method}: ${error.message}`);
     }
-    return allResults;
 };
 
 
-// Function to handle one page
-const fetchRequestOdooPage = async (endpoint, params, limit, offset) => {
-    params.kwargs.limit = limit;
-    params.kwargs.offset = offset;
-    
+// Net labour cost credited to the salaries account, and burden credited to the overhead absorption account,
+// by the order's labour journals that are not cancelled. Without labour_rates the burden is not looked up
+const fetchPostedLabourCost = async (journalIds) => {
+    const absorptionAccount = odooMapping.overheadAbsorptionAccount;
+    const endpoint = '/web/dataset/call_kw/account.move.line/search_read';
+    const params = {
+        model: "account.move.line",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [
+                ["move_id", "in", journalIds],
+                ["account_id", "in", [odooMapping.salariesAccount, absorptionAccount].filter(Boolean)],
+                ["parent_state", "!=", "cancel"]
+            ],
+            fields: ["account_id", "debit", "credit"]
+        }
+    };
     try {
         const response = await fetchRequestOdoo(endpoint, params);
-        
-        if (response && response.result && response.result.length > 0) {
-            return response.result;
-        } else {
-            return [];
-        }
+        const postedOn = (accountId) => roundAmount((response.result || [])
+            .filter(line => line.account_id[0] === accountId)
+            .reduce((total, line) => total + line.credit - line.debit, 0));
+        return {
+            labour: postedOn(odooMapping.salariesAccount),
+            burden: absorptionAccount ? postedOn(absorptionAccount) : 0
+        };
     } catch (error) {
-        console.error('Error with fetchRequestOdooPage):', error);
-        throw new Error(`Error with fetchRqeustOdooPage : ${error.message}`);
+        console.error('Error fetching posted labour cost from Odoo:', error);
+        throw new Error(`Error fetching posted labour cost from Odoo: ${error.message}`);
     }
 };
 
 
-// Fetch request to Odoo
-const fetchRequestOdoo = async (endpoint, params) => {
+// Get user details if an error is thrown
+const getUserDetails = async (userId) => {
+    const endpoint = `users`;
     try {
-        const baseUrl = `https://${ODOO_ACCOUNT}.odoo.com`;
-        const sessionId = await authenticateOdoo(baseUrl);
-        
-        const response = await fetch(`${baseUrl}${endpoint}`, {
-            method: "POST",
-            headers: {
-                'Content-Type': 'application/json',
-                'cookie': `session_id=${sessionId}`,
-            },
-            body: JSON.stringify({
-                jsonrpc: "2.0",
-                method: "call",
-                params: params,
-                id: Math.floor(Math.random() * 1000)
-            })
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('HTTP Error:', response.status, errorText);
-            throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        const data = await response.json();
-        return data;
+        const response = await fetchRequestInfraspeak(endpoint, 'GET');
+        const { full_name, email } = response.data.operator;
+        return {name: full_name, email: email};
     } catch (error) {
-        console.error('Error with FetchRequestOdoo:', error);
-        throw new Error(`Error with FetchRequestOdoo: ${error.message}`);
+        console.error('Error fetching user details Infraspeak:', error);
+        throw new Error('Error fetching user details Infraspeak', error);
     }
 };
 
 
-// Function to authenicate Odoo account
-const authenticateOdoo = async (baseUrl) => {
-    const endpoint = '/web/session/authenticate';
-    
-    const response = await fetch(`${baseUrl}${endpoint}`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${ODOO_API_KEY}`,
-            'Content-Type': 'application/json',
-        },
+// Create a return response. A dry run also returns the plan of writes it skipped
+const createResponse = (message, statusCode = 200) => {
+    return {
+        statusCode: statusCode,
         body: JSON.stringify({
-            jsonrpc: "2.0",
-            method: "call",
-            params: {
-                db: ODOO_DB,
-                login: ODOO_LOGIN,
-                password: ODOO_PASSWORD
-            },
-            id: Math.floor(Math.random() * 1000)
-        })
-    });
+            message: message,
+            ...(isDryRun() && { dryRun: true, plan: getDryRunPlan() }),
+        }),
+    };
+};
 
-    if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-    }
 
-    const data = await response.json();
-    if (data.error) {
-        throw new Error(`Authentication error: ${data.error.message}`);
+// Function to fetch data from Infraspeak based on workOrderId
+const getInfraspeakData = async (workOrderId, orderType) => {
+    let endpoint;
+    if(orderType === "Work Order"){
+        endpoint = `failures/${workOrderId}?expanded=stock.material,stockTasks.material`;
+    }
+    else{
+        endpoint = `works/scheduled/${workOrderId}?expanded=stock.material,stockTasks.material`;
     }
-    
-    // Extract session ID from the Set-Cookie header if available
-    const cookies = response.headers.get('Set-Cookie');
-    const sessionIdMatch = cookies && cookies.match(/session_id=([^;]*)/);
-    const sessionId = sessionIdMatch ? sessionIdMatch[1] : null;
+    try {
+        const response = await fetchRequestInfraspeak(endpoint, 'GET');
+        return response;
+    } catch (error) {
+        console.error(`Error fetching Infraspeak ${orderType} data:`, error);
+        throw new Error(`Error fetching Infraspeak ${orderType} data: ${error.message}`);
+    }
+};
 
-    return sessionId;
+
+// Fetch the orders of an Infraspeak list updated since the cursor, page by page
+const getInfraspeakPages = async (path, cursor) => {
+    let pageNumber = 1;
+    let allItems = [];
+
+    while (true) {
+        const endpoint = `${path}?limit=300&page=${pageNumber}&s_date_updated_gte=${encodeURIComponent(cursor)}`;
+        const response = await fetchRequestInfraspeak(endpoint, 'GET');
+        allItems = allItems.concat(response.data || []);
+
+        if (!response.links?.next) {
+            break;
+        }
+        pageNumber++;
+    }
+    return allItems;
 };
 
+
+// Fetch the time each operator registered on the order, with the operator's skill and team, page by page.
+// Durations are in seconds
+const getInfraspeakTimeEntries = async (workOrderId, orderType) => {
+    let path;
+    if(orderType === "Work Order"){
+        path = `failures/${workOrderId}/registers`;
+    }
+    else{
+        path = `works/scheduled/${workOrderId}/registers`;
+    }
+    try {
+        let pageNumber = 1;
+        let data = [];
+        let included = [];
+        while (true) {
+            const response = await fetchRequestInfraspeak(`${path}?expanded=operator&limit=300&page=${pageNumber}`, 'GET');
+            data = data.concat(response.data || []);
+            included = included.concat(response.included || []);
+
+            if (!response.links?.next) {
+                break;
+            }
+            pageNumber++;
+        }
+        const operators = new Map(included
+            .filter(({ type }) => type === 'operator')
+            .map(operator => [String(operator.id), operator.attributes]));
+
+        return data.map(entry => {
+            const { operator_id, start_date, duration = 0, manpower_cost = 0 } = entry.attributes;
+            return {
+                id: entry.id,
+                operatorId: String(operator_id),
+                operatorName: operators.get(String(operator_id))?.full_name || `Operator ${operator_id}`,
+                skillId: operators.get(String(operator_id))?.skill_id ?? null,
+                teamId: operators.get(String(operator_id))?.team_id ?? null,
+                date: (start_date || completedDate).slice(0, 10),
+                hours: Math.round(duration / 36) / 100,
+                cost: parseFloat(manpower_cost)
+            };
+        });
+    } catch (error) {
+        console.error(`Error fetching Infraspeak ${orderType} time entries:`, error);
+        throw new Error(`Error fetching Infraspeak ${orderType} time entries: ${error.message}`);
+    }
+};
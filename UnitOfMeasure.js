@@ -0,0 +1,97 @@
+/*
+    Unit of measure conversion between Infraspeak materials and Odoo products. Infraspeak units are mapped
+    to Odoo uom.uom records in the `unitsOfMeasure` section of the odoo_mapping config. Quantities convert
+    through the reference unit of their Odoo category, as Odoo's own uom conversion does, and unit prices
+    convert inversely so the value of a line is preserved.
+*/
+
+import { fetchRequestPaginateOdoo } from './OdooClient.js';
+import { resolveInfraspeakUnits } from './OdooMapping.js';
+
+let odooUnits = null;
+let infraspeakUnits = null;
+
+// Load the Odoo units and the Infraspeak unit mapping once per cold start
+export const loadUnitsOfMeasure = async () => {
+    if (odooUnits && infraspeakUnits) {
+        return;
+    }
+    const endpoint = '/web/dataset/call_kw/uom.uom/search_read';
+    const params = {
+        model: "uom.uom",
+        method: "search_read",
+        args: [],
+        kwargs: {
+            domain: [],
+            fields: ["id", "name", "category_id", "factor", "rounding"]
+        }
+    };
+    try {
+        const units = await fetchRequestPaginateOdoo(endpoint, params);
+        odooUnits = new Map(units.map(unit => [unit.id, unit]));
+        infraspeakUnits = await resolveInfraspeakUnits();
+    } catch (error) {
+        console.error('Error loading units of measure:', error);
+        throw new Error(`Error loading units of measure: ${error.message}`);
+    }
+};
+
+
+// Odoo uom.uom ID for an Infraspeak material unit
+export const getOdooUomForUnit = (unit) => {
+    const uomId = infraspeakUnits.get(String(unit || '').trim().toLowerCase());
+    if (!uomId) {
+        throw new Error(`Infraspeak unit "${unit}" is not mapped to an Odoo unit of measure`);
+    }
+    return uomId;
+};
+
+
+// Infraspeak unit mapped to an Odoo uom.uom ID, or null if there is none
+export const getInfraspeakUnitForUom = (uomId) => {
+    for (const [unit, mappedUomId] of infraspeakUnits) {
+        if (mappedUomId === uomId) {
+            return unit;
+        }
+    }
+    return null;
+};
+
+
+const getOdooUnit = (uomId) => {
+    const unit = odooUnits.get(uomId);
+    if (!unit) {
+        throw new Error(`Unknown Odoo unit of measure ${uomId}`);
+    }
+    return unit;
+};
+
+
+// Convert a quantity between two Odoo units of the same category, rounded to the target unit
+export const convertQuantity = (quantity, fromUomId, toUomId) => {
+    if (fromUomId === toUomId) {
+        return quantity;
+    }
+    const fromUnit = getOdooUnit(fromUomId);
+    const toUnit = getOdooUnit(toUomId);
+    if (fromUnit.category_id[0] !== toUnit.category_id[0]) {
+        throw new Error(`Cannot convert ${fromUnit.name} to ${toUnit.name}: units are in different categories`);
+    }
+
+    const converted = quantity / fromUnit.factor * toUnit.factor;
+    return toUnit.rounding ? Number((Math.round(converted / toUnit.rounding) * toUnit.rounding).toFixed(10)) : converted;
+};
+
+
+// Convert a unit price between two Odoo units, so price times quantity stays the same
+export const convertUnitPrice = (price, fromUomId, toUomId) => {
+    if (fromUomId === toUomId) {
+        return price;
+    }
+    const fromUnit = getOdooUnit(fromUomId);
+    const toUnit = getOdooUnit(toUomId);
+    if (fromUnit.category_id[0] !== toUnit.category_id[0]) {
+        throw new Error(`Cannot convert ${fromUnit.name} to ${toUnit.name}: units are in different categories`);
+    }
+    return price * fromUnit.factor / toUnit.factor;
+};
@@ -0,0 +1,102 @@
+/*
+    Verifies that an Infraspeak webhook delivery is authentic, recent and well formed before a handler acts
+    on it. The profile's webhookAuth picks how deliveries are authenticated with the shared
+    INFRASPEAK_WEBHOOK_SECRET:
+      hmac  - x-infraspeak-signature is the hex HMAC-SHA256 of "<x-infraspeak-timestamp>.<raw body>"
+      token - x-infraspeak-token equals the secret
+      none  - no authentication, for local stand-ins only
+    x-infraspeak-timestamp is in Unix seconds and must fall within webhookToleranceSeconds of now, so a
+    captured delivery cannot be replayed later. Only hmac signs the timestamp, so only hmac fully protects
+    against replays. The payload's data.type must be one of the resource types the handler supports.
+    A failed check is raised as WebhookVerificationError with the status code to return.
+*/
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { profile } from './Environment.js';
+
+const WEBHOOK_AUTH_MODES = ['hmac', 'token', 'none'];
+const webhookAuth = profile.webhookAuth;
+
+if (!WEBHOOK_AUTH_MODES.includes(webhookAuth)) {
+    throw new Error(`Unknown webhook authentication "${webhookAuth}". Expected one of: ${WEBHOOK_AUTH_MODES.join(', ')}`);
+}
+
+// Error raised when a delivery is rejected. statusCode is 401 for authentication, 400 for the payload and
+// 500 when the handler itself is not configured to verify deliveries
+export class WebhookVerificationError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'WebhookVerificationError';
+        this.statusCode = statusCode;
+    }
+}
+
+
+// Authenticate a delivery, check it is not a replay, and return its parsed and validated payload. A dry
+// run invoked directly posts nothing and skips authentication. types are the accepted data.type values
+export const verifyWebhook = (event, secret, { types, authenticate = true, now = Date.now() }) => {
+    const headers = Object.fromEntries(Object.entries(event?.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    const rawBody = event?.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event?.body;
+
+    if (authenticate && webhookAuth !== 'none') {
+        if (!secret) {
+            throw new WebhookVerificationError('INFRASPEAK_WEBHOOK_SECRET is not configured', 500);
+        }
+        const timestamp = checkTimestamp(headers['x-infraspeak-timestamp'], now);
+        if (webhookAuth === 'hmac') {
+            const expected = createHmac('sha256', secret).update(`${timestamp}.${rawBody ?? ''}`).digest('hex');
+            const signature = String(headers['x-infraspeak-signature'] || '').replace(/^sha256=/, '');
+            if (!safeEqual(signature, expected)) {
+                throw new WebhookVerificationError('Invalid webhook signature', 401);
+            }
+        } else if (!safeEqual(String(headers['x-infraspeak-token'] || ''), secret)) {
+            throw new WebhookVerificationError('Invalid webhook token', 401);
+        }
+    }
+
+    return validatePayload(rawBody, types);
+};
+
+
+// The delivery timestamp, rejected when missing or outside the tolerance window
+const checkTimestamp = (header, now) => {
+    const timestamp = Number(header);
+    if (!header || !Number.isInteger(timestamp)) {
+        throw new WebhookVerificationError('Missing or invalid webhook timestamp', 401);
+    }
+    if (Math.abs(now / 1000 - timestamp) > profile.webhookToleranceSeconds) {
+        throw new WebhookVerificationError(`Webhook timestamp ${timestamp} is outside the ${profile.webhookToleranceSeconds}s window`, 401);
+    }
+    return timestamp;
+};
+
+
+// Compare in constant time so the secret cannot be guessed from response times
+const safeEqual = (value, expected) => {
+    const valueBuffer = Buffer.from(value);
+    const expectedBuffer = Buffer.from(expected);
+    return valueBuffer.length === expectedBuffer.length && timingSafeEqual(valueBuffer, expectedBuffer);
+};
+
+
+// An order event carries data.id, a positive integer, and data.type, one of the supported resource types
+const validatePayload = (rawBody, types) => {
+    let payload;
+    try {
+        payload = JSON.parse(rawBody);
+    } catch {
+        throw new WebhookVerificationError('Webhook body is not valid JSON', 400);
+    }
+
+    const data = payload?.data;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new WebhookVerificationError('Webhook payload has no data object', 400);
+    }
+    if (!/^[1-9]\d*$/.test(String(data.id ?? '')) || (typeof data.id !== 'number' && typeof data.id !== 'string')) {
+        throw new WebhookVerificationError(`Webhook data.id ${JSON.stringify(data.id)} is not a positive integer`, 400);
+    }
+    if (!types.includes(data.type)) {
+        throw new WebhookVerificationError(`Webhook data.type ${JSON.stringify(data.type)} is not one of ${types.join(', ')}`, 400);
+    }
+    return payload;
+};